@@ -1,31 +1,73 @@
+import { migrateSegmentModes } from './configMigrations.js';
+
 const CONFIG_KEY = 'ytaf-configuration';
 const isShieldUserAgentActive = () => navigator.userAgent.includes('Shield Android TV');
 
 const defaultConfig = {
   enableAdBlock: true,
+  disabledResponseFilterRules: [],
+  customResponseFilterRules: [],
   enableSponsorBlock: true,
   enableSponsorBlockToasts: true,
-  sponsorBlockManualSkips: ['intro', 'outro', 'filler'],
-  enableSponsorBlockSponsor: true,
-  enableSponsorBlockIntro: true,
-  enableSponsorBlockOutro: true,
-  enableSponsorBlockInteraction: true,
-  enableSponsorBlockSelfPromo: true,
-  enableSponsorBlockPreview: true,
-  enableSponsorBlockMusicOfftopic: true,
-  enableSponsorBlockFiller: false,
+  sponsorBlockSkipNotice: 0,
+  enableSponsorBlockUnskip: true,
+  sponsorBlockSponsorMode: 'auto',
+  sponsorBlockIntroMode: 'manual',
+  sponsorBlockOutroMode: 'manual',
+  sponsorBlockInteractionMode: 'auto',
+  sponsorBlockSelfPromoMode: 'auto',
+  sponsorBlockPreviewMode: 'auto',
+  sponsorBlockFillerMode: 'manual',
+  sponsorBlockMusicOfftopicMode: 'auto',
+  sponsorBlockSponsorMinDuration: 0,
+  sponsorBlockIntroMinDuration: 0,
+  sponsorBlockOutroMinDuration: 0,
+  sponsorBlockInteractionMinDuration: 0,
+  sponsorBlockSelfPromoMinDuration: 0,
+  sponsorBlockPreviewMinDuration: 0,
+  sponsorBlockFillerMinDuration: 0,
+  sponsorBlockMusicOfftopicMinDuration: 0,
+  sponsorBlockServer: '',
+  deArrowThumbnailServer: '',
+  sponsorBlockSponsorColor: '',
+  sponsorBlockIntroColor: '',
+  sponsorBlockOutroColor: '',
+  sponsorBlockInteractionColor: '',
+  sponsorBlockSelfPromoColor: '',
+  sponsorBlockPreviewColor: '',
+  sponsorBlockFillerColor: '',
+  sponsorBlockMusicOfftopicColor: '',
+  sponsorBlockHighlightColor: '',
+  sponsorBlockSponsorOpacity: '',
+  sponsorBlockIntroOpacity: '',
+  sponsorBlockOutroOpacity: '',
+  sponsorBlockInteractionOpacity: '',
+  sponsorBlockSelfPromoOpacity: '',
+  sponsorBlockPreviewOpacity: '',
+  sponsorBlockFillerOpacity: '',
+  sponsorBlockMusicOfftopicOpacity: '',
+  sponsorBlockHighlightOpacity: '',
   enableSponsorBlockHighlight: true,
+  enableSponsorBlockChapters: true,
+  enableSponsorBlockVideoLabels: true,
+  enableSponsorBlockSubmissions: false,
+  enableSponsorBlockVoting: true,
   videoSpeed: 1,
   preferredVideoQuality: 'auto',
   enableDeArrow: true,
   enableDeArrowThumbnails: false,
+  deArrowTitleFormat: 'off',
+  deArrowFixAllCaps: false,
+  deArrowRemoveTrailingEmoji: false,
   focusContainerColor: '#0f0f0f',
   routeColor: '#0f0f0f',
   enableFixedUI: (window.h5vcc && window.h5vcc.tizentube) ? false : true,
   enableHqThumbnails: false,
   enableChapters: true,
   enableLongPress: true,
+  queueRepeatMode: 'off',
   enableShorts: true,
+  openShortsAsVideos: false,
   dontCheckUpdateUntil: 0,
   enableWhoIsWatchingMenu: false,
   permanentlyEnableWhoIsWatchingMenu: false,
@@ -45,6 +87,19 @@ const defaultConfig = {
   enableHideWatchedVideos: false,
   hideWatchedVideosThreshold: 80,
   hideWatchedVideosPages: [],
+  enableLocalWatchHistory: true,
+  blockedChannels: [],
+  whitelistedChannels: [],
+  titleFilters: [],
+  enableShelfDeduplication: true,
+  shelfRules: [],
+  hideLiveVideosPages: [],
+  hideUpcomingVideosPages: [],
+  hideMembersOnlyVideosPages: [],
+  hideShortVideosPages: [],
+  hideShortVideosUnder: 120,
+  hideLongVideosPages: [],
+  hideLongVideosOver: 3600,
   enableHideEndScreenCards: false,
   enableYouThereRenderer: true,
   lastAnnouncementCheck: 0,
@@ -63,6 +118,14 @@ const defaultConfig = {
   disableAVC: false,
   disableVP8: false,
   disableHEVC: false,
+  codecPolicy720p: 'any',
+  codecPolicy1080p: 'any',
+  codecPolicy1440p: 'any',
+  codecPolicy2160p: 'any',
+  maxVideoResolution: 0,
+  maxVideoFps: 0,
+  preferredAudioTrack: 'default',
+  preferredAudioLanguages: [],
   disableChannelsOnSidebar: false,
   enableYoutubeCpuTamer: false,
   enableYoutubeJsEngineTamer: false,
@@ -78,6 +141,7 @@ const defaultConfig = {
   clockShowSeconds: false,
   enableReturnYoutubeDislike: true,
   enableLowMemoryMode: false,
+  enableResponsePipelineDebug: false,
 };
 
 let localConfig;
@@ -89,6 +153,11 @@ try {
   localConfig = defaultConfig;
 }
 
+// SponsorBlock categories used to have an enable flag and a manual skip list.
+if (localConfig !== defaultConfig && migrateSegmentModes(localConfig)) {
+  window.localStorage[CONFIG_KEY] = JSON.stringify(localConfig);
+}
+
 // Shield profile already gets the modern UI, so the fixed UI patch must stay disabled.
 if (isShieldUserAgentActive()) {
   defaultConfig.enableFixedUI = false;
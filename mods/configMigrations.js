@@ -0,0 +1,39 @@
+// Migrations of stored configs from older versions. Run by config.js before anything reads the
+// config, so this module must not import feature modules.
+
+// Key suffixes of the SponsorBlock categories that had an enableSponsorBlock<Key> flag.
+const LEGACY_SEGMENT_CATEGORIES = [
+    { category: 'sponsor', key: 'Sponsor' },
+    { category: 'intro', key: 'Intro' },
+    { category: 'outro', key: 'Outro' },
+    { category: 'interaction', key: 'Interaction' },
+    { category: 'selfpromo', key: 'SelfPromo' },
+    { category: 'preview', key: 'Preview' },
+    { category: 'filler', key: 'Filler' },
+    { category: 'music_offtopic', key: 'MusicOfftopic' }
+];
+const LEGACY_MANUAL_SKIPS = ['intro', 'outro', 'filler'];
+const LEGACY_DISABLED = ['filler'];
+
+/**
+ * Moves the enableSponsorBlock* flags and sponsorBlockManualSkips of older configs to one mode
+ * per category. Categories in the manual list got a skip button whether enabled or not, and
+ * disabled ones were still drawn on the bar.
+ * @param {object} config Modified in place.
+ * @returns {boolean} Whether anything was migrated.
+ */
+export function migrateSegmentModes(config) {
+    const pending = LEGACY_SEGMENT_CATEGORIES.filter(entry => config[`sponsorBlock${entry.key}Mode`] === undefined);
+    if (!pending.length) return false;
+
+    const manualSkips = Array.isArray(config.sponsorBlockManualSkips) ? config.sponsorBlockManualSkips : LEGACY_MANUAL_SKIPS;
+    for (const entry of pending) {
+        const legacyKey = `enableSponsorBlock${entry.key}`;
+        const enabled = config[legacyKey] === undefined ? !LEGACY_DISABLED.includes(entry.category) : config[legacyKey];
+
+        config[`sponsorBlock${entry.key}Mode`] = manualSkips.includes(entry.category) ? 'manual' : enabled ? 'auto' : 'bar';
+        delete config[legacyKey];
+    }
+    delete config.sponsorBlockManualSkips;
+    return true;
+}
@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { migrateSegmentModes } from './configMigrations.js';
+
+test('migrateSegmentModes turns the old flags and manual list into modes', () => {
+    const config = {
+        enableSponsorBlockSponsor: true,
+        enableSponsorBlockSelfPromo: false,
+        enableSponsorBlockFiller: false,
+        sponsorBlockManualSkips: ['intro', 'filler']
+    };
+
+    assert.equal(migrateSegmentModes(config), true);
+    assert.equal(config.sponsorBlockSponsorMode, 'auto');
+    assert.equal(config.sponsorBlockSelfPromoMode, 'bar');
+    assert.equal(config.sponsorBlockIntroMode, 'manual');
+    assert.equal(config.sponsorBlockFillerMode, 'manual');
+    assert.equal(config.sponsorBlockOutroMode, 'auto');
+    assert.equal(config.enableSponsorBlockSponsor, undefined);
+    assert.equal(config.sponsorBlockManualSkips, undefined);
+    assert.equal(migrateSegmentModes(config), false);
+});
+
+test('migrateSegmentModes keeps the old defaults for configs that never changed them', () => {
+    const config = {};
+    migrateSegmentModes(config);
+    assert.equal(config.sponsorBlockSponsorMode, 'auto');
+    assert.equal(config.sponsorBlockIntroMode, 'manual');
+    assert.equal(config.sponsorBlockFillerMode, 'manual');
+});
@@ -3,24 +3,36 @@ import Chapters from '../ui/chapters.js';
 import resolveCommand from '../resolveCommand.js';
 import { timelyAction, longPressData, MenuServiceItemRenderer, ShelfRenderer, TileRenderer, ButtonRenderer } from '../ui/ytUI.js';
 import { PatchSettings } from '../ui/customYTSettings.js';
+import { registerResponseProcessor } from '../responsePipeline.js';
+import { applyResponseFilters } from './responseFilter.js';
+import { RESPONSE_FILTER_TYPES } from './responseFilterCore.js';
+import { getTileChannel, isTileFromBlockedChannel } from './channelBlocklist.js';
+import { isChannelWhitelisted } from './channelWhitelist.js';
+import { getCurrentPage, isTileHiddenByTitleFilter } from './titleFilter.js';
+import { isTileHiddenByContentFilter } from './contentFilter.js';
+import { getWatchedPercent } from './watchHistory.js';
+import { manageShelves, dedupeContinuationItems } from './shelfManager.js';
+import { applyCodecPolicy, RESOLUTION_BANDS } from './codecPolicyCore.js';
+import { afterSkipTimelyActions } from './sponsorblockSkipActions.js';
+import { getActionType } from './sponsorblockCore.js';
+import { queuedVideoId } from './videoQueuingCore.js';
+import { addCollectionLongPress, addShelfLongPress } from './queueCollections.js';
 import { t } from 'i18next';
 
 /**
- * This is a minimal reimplementation of the following uBlock Origin rule:
+ * This started as a minimal reimplementation of the following uBlock Origin rule:
  * https://github.com/uBlockOrigin/uAssets/blob/3497eebd440f4871830b9b45af0afc406c6eb593/filters/filters.txt#L116
  *
  * This in turn calls the following snippet:
  * https://github.com/gorhill/uBlock/blob/bfdc81e9e400f7b78b2abc97576c3d7bf3a11a0b/assets/resources/scriptlets.js#L365-L470
  *
- * Seems like for now dropping just the adPlacements is enough for YouTube TV
+ * The removals themselves now live in responseFilterRules.json.
  */
-const origParse = JSON.parse;
-JSON.parse = function () {
-  const r = origParse.apply(this, arguments);
-  try {
-    const adBlockEnabled = configRead('enableAdBlock');
-    const signinReminderEnabled = configRead('enableSigninReminder');
 
+registerResponseProcessor('videoType', {
+  priority: 0,
+  types: ['player'],
+  process(r) {
     if (r?.playbackContext?.contentPlaybackContext) {
       // Handle inline playback without ads
       console.log(r.playbackContext.contentPlaybackContext);
@@ -31,128 +43,97 @@ JSON.parse = function () {
       window.musicVideoType = r.videoDetails.musicVideoType || null;
       window.isLiveStream = r.videoDetails.isLiveContent === true || r.videoDetails.isLive === true;
     }
+  }
+});
 
-    if (r.adPlacements && adBlockEnabled) {
-      r.adPlacements = [];
-    }
-
-    // Also set playerAds to false, just incase.
-    if (r.playerAds && adBlockEnabled) {
-      r.playerAds = false;
-    }
-
-    // Also set adSlots to an empty array, emptying only the adPlacements won't work.
-    if (r.adSlots && adBlockEnabled) {
-      r.adSlots = [];
-    }
+registerResponseProcessor('responseFilters', {
+  priority: 10,
+  types: RESPONSE_FILTER_TYPES,
+  process(r) {
+    applyResponseFilters(r);
+  }
+});
+
+registerResponseProcessor('codecFilter', {
+  priority: 20,
+  types: ['player'],
+  match: r => Boolean(r.streamingData?.adaptiveFormats),
+  process(r) {
+    const disableAV1 = configRead('disableAV1');
+    const disableVP9 = configRead('disableVP9');
+    const disableAVC = configRead('disableAVC');
+    const disableVP8 = configRead('disableVP8');
+    const disableHEVC = configRead('disableHEVC');
+    const disable60fps = configRead('disable60fps');
+    const preferredCodec = configRead('videoPreferredCodec');
+
+    r.streamingData.adaptiveFormats = r.streamingData.adaptiveFormats.filter(format => {
+      if (format.mimeType.startsWith('audio/')) return true;
+
+      const lowerMime = format.mimeType.toLowerCase();
+      if (disableAV1 && (lowerMime.includes('av1') || lowerMime.includes('av01'))) return false;
+      if (disableVP9 && (lowerMime.includes('vp9') || lowerMime.includes('vp09'))) return false;
+      if (disableAVC && (lowerMime.includes('avc') || lowerMime.includes('avc1'))) return false;
+      if (disableVP8 && (lowerMime.includes('vp8') || lowerMime.includes('vp08'))) return false;
+      if (disableHEVC && (lowerMime.includes('hev') || lowerMime.includes('hvc'))) return false;
+      if (disable60fps && format.fps > 30) return false;
+
+      return true;
+    });
 
-    if (r.paidContentOverlay && !configRead('enablePaidPromotionOverlay')) {
-      r.paidContentOverlay = null;
+    if (preferredCodec !== 'any') {
+      const hasPreferredCodec = r.streamingData.adaptiveFormats.some(format => format.mimeType.includes(preferredCodec));
+      if (hasPreferredCodec) {
+        r.streamingData.adaptiveFormats = r.streamingData.adaptiveFormats.filter(format => {
+          if (format.mimeType.startsWith('audio/')) return true;
+          return format.mimeType.includes(preferredCodec);
+        });
+      }
     }
 
-    if (r?.streamingData?.adaptiveFormats) {
-      const disableAV1 = configRead('disableAV1');
-      const disableVP9 = configRead('disableVP9');
-      const disableAVC = configRead('disableAVC');
-      const disableVP8 = configRead('disableVP8');
-      const disableHEVC = configRead('disableHEVC');
-      const disable60fps = configRead('disable60fps');
-      const preferredCodec = configRead('videoPreferredCodec');
-
-      r.streamingData.adaptiveFormats = r.streamingData.adaptiveFormats.filter(format => {
-        if (format.mimeType.startsWith('audio/')) return true;
-
-        const lowerMime = format.mimeType.toLowerCase();
-        if (disableAV1 && (lowerMime.includes('av1') || lowerMime.includes('av01'))) return false;
-        if (disableVP9 && (lowerMime.includes('vp9') || lowerMime.includes('vp09'))) return false;
-        if (disableAVC && (lowerMime.includes('avc') || lowerMime.includes('avc1'))) return false;
-        if (disableVP8 && (lowerMime.includes('vp8') || lowerMime.includes('vp08'))) return false;
-        if (disableHEVC && (lowerMime.includes('hev') || lowerMime.includes('hvc'))) return false;
-        if (disable60fps && format.fps > 30) return false;
-
-        return true;
-      });
+    const policy = {};
+    for (const band of RESOLUTION_BANDS) policy[band.configKey] = configRead(band.configKey);
+    r.streamingData.adaptiveFormats = applyCodecPolicy(r.streamingData.adaptiveFormats, {
+      policy,
+      maxHeight: configRead('maxVideoResolution'),
+      maxFps: configRead('maxVideoFps')
+    });
+  }
+});
 
-      if (preferredCodec !== 'any') {
-        const hasPreferredCodec = r.streamingData.adaptiveFormats.some(format => format.mimeType.includes(preferredCodec));
-        if (hasPreferredCodec) {
-          r.streamingData.adaptiveFormats = r.streamingData.adaptiveFormats.filter(format => {
-            if (format.mimeType.startsWith('audio/')) return true;
-            return format.mimeType.includes(preferredCodec);
-          });
-        }
-      }
-    }
+registerResponseProcessor('settingsPatch', {
+  priority: 40,
+  match: r => Boolean(r?.title?.runs),
+  process(r) {
+    PatchSettings(r);
+  }
+});
 
-    // Drop "masthead" ad from home screen
+registerResponseProcessor('shelves', {
+  priority: 50,
+  types: ['browse', 'continuation', 'next'],
+  process(r) {
     if (
       r?.contents?.tvBrowseRenderer?.content?.tvSurfaceContentRenderer?.content
         ?.sectionListRenderer?.contents
     ) {
-      if (!signinReminderEnabled) {
-        r.contents.tvBrowseRenderer.content.tvSurfaceContentRenderer.content.sectionListRenderer.contents =
-          r.contents.tvBrowseRenderer.content.tvSurfaceContentRenderer.content.sectionListRenderer.contents.filter(
-            (elm) => !elm.feedNudgeRenderer
-          );
-      }
-
-      if (adBlockEnabled) {
-        r.contents.tvBrowseRenderer.content.tvSurfaceContentRenderer.content.sectionListRenderer.contents =
-          r.contents.tvBrowseRenderer.content.tvSurfaceContentRenderer.content.sectionListRenderer.contents.filter(
-            (elm) => !elm.adSlotRenderer
-          );
-
-        for (const shelve of r.contents.tvBrowseRenderer.content.tvSurfaceContentRenderer.content.sectionListRenderer.contents) {
-          if (shelve.shelfRenderer && shelve.shelfRenderer.content?.horizontalListRenderer?.items) {
-            shelve.shelfRenderer.content.horizontalListRenderer.items =
-              shelve.shelfRenderer.content.horizontalListRenderer.items.filter(
-                (item) => !item.adSlotRenderer
-              );
-          }
-        }
-      }
-
       processShelves(r.contents.tvBrowseRenderer.content.tvSurfaceContentRenderer.content.sectionListRenderer.contents);
     }
 
-    if (r.endscreen && configRead('enableHideEndScreenCards')) {
-      r.endscreen = null;
-    }
-
-    if (r.messages && Array.isArray(r.messages) && !configRead('enableYouThereRenderer')) {
-      r.messages = r.messages.filter(
-        (msg) => !msg?.youThereRenderer
-      );
-    }
-
-    // Remove shorts ads
-    if (!Array.isArray(r) && r?.entries && adBlockEnabled) {
-      r.entries = r.entries?.filter(
-        (elm) => !elm?.command?.reelWatchEndpoint?.adClientParams?.isAd
-      );
-    }
-
-    // Patch settings
-
-    if (r?.title?.runs) {
-      PatchSettings(r);
-    }
-
-    // DeArrow Implementation. I think this is the best way to do it. (DOM manipulation would be a pain)
-
     if (r?.contents?.sectionListRenderer?.contents) {
       processShelves(r.contents.sectionListRenderer.contents);
     }
 
     if (r?.continuationContents?.sectionListContinuation?.contents) {
-      processShelves(r.continuationContents.sectionListContinuation.contents);
+      processShelves(r.continuationContents.sectionListContinuation.contents, true, false);
     }
 
     if (r?.continuationContents?.horizontalListContinuation?.items) {
-      deArrowify(r.continuationContents.horizontalListContinuation.items);
+      openShortsAsVideos(r.continuationContents.horizontalListContinuation.items);
       hqify(r.continuationContents.horizontalListContinuation.items);
       addLongPress(r.continuationContents.horizontalListContinuation.items);
-      r.continuationContents.horizontalListContinuation.items = hideVideo(r.continuationContents.horizontalListContinuation.items);
+      addCollectionLongPress(r.continuationContents.horizontalListContinuation.items);
+      r.continuationContents.horizontalListContinuation.items = dedupeContinuationItems(hideVideo(r.continuationContents.horizontalListContinuation.items));
     }
 
     if (r?.contents?.tvBrowseRenderer?.content?.tvSecondaryNavRenderer?.sections) {
@@ -173,7 +154,8 @@ JSON.parse = function () {
           if (tab.tabRenderer.content?.tvSurfaceContentRenderer?.content?.sectionListRenderer?.contents) {
             const index = section.tabs.indexOf(tab);
             const clone = tab.tabRenderer.content.tvSurfaceContentRenderer.content.sectionListRenderer.contents;
-            processShelves(clone);
+            // Continuations only come for the selected tab, the one on screen.
+            processShelves(clone, true, true, tab.tabRenderer.selected ? 'page' : 'tab');
             section.tabs[index].tabRenderer.content.tvSurfaceContentRenderer.content.sectionListRenderer.contents = clone;
           }
         }
@@ -181,16 +163,16 @@ JSON.parse = function () {
     }
 
     if (r?.contents?.singleColumnWatchNextResults?.pivot?.sectionListRenderer) {
-      if (!signinReminderEnabled) {
-        r.contents.singleColumnWatchNextResults.pivot.sectionListRenderer.contents =
-          r.contents.singleColumnWatchNextResults.pivot.sectionListRenderer.contents.filter(
-            (elm) => !elm.alertWithActionsRenderer
-          );
-      }
-      processShelves(r.contents.singleColumnWatchNextResults.pivot.sectionListRenderer.contents, false);
+      processShelves(r.contents.singleColumnWatchNextResults.pivot.sectionListRenderer.contents, false, true, 'pivot');
       if (window.queuedVideos.videos.length > 0) {
         const queuedVideosClone = window.queuedVideos.videos.slice();
         queuedVideosClone.unshift(TileRenderer(
+          t('videoQueue.manager.title'),
+          {
+            customAction: {
+              action: 'SHOW_QUEUE_MANAGER'
+            }
+          }), TileRenderer(
           'Clear Queue',
           {
             customAction: {
@@ -200,12 +182,19 @@ JSON.parse = function () {
         r.contents.singleColumnWatchNextResults.pivot.sectionListRenderer.contents.unshift(ShelfRenderer(
           'Queued Videos',
           queuedVideosClone,
-          queuedVideosClone.findIndex(v => v.contentId === window.queuedVideos.lastVideoId) !== -1 ?
-            queuedVideosClone.findIndex(v => v.contentId === window.queuedVideos.lastVideoId)
+          queuedVideosClone.findIndex(v => queuedVideoId(v) === window.queuedVideos.lastVideoId) !== -1 ?
+            queuedVideosClone.findIndex(v => queuedVideoId(v) === window.queuedVideos.lastVideoId)
             : 0
         ));
       }
     }
+  }
+});
+
+registerResponseProcessor('sponsorBlockOverlays', {
+  priority: 60,
+  types: ['next'],
+  process(r) {
     /*
    
     Chapters are disabled due to the API removing description data which was used to generate chapters
@@ -228,12 +217,15 @@ JSON.parse = function () {
 
     // Manual SponsorBlock Skips
 
-    if (configRead('sponsorBlockManualSkips').length > 0 && r?.playerOverlays?.playerOverlayRenderer) {
-      const manualSkippedSegments = configRead('sponsorBlockManualSkips');
+    // YouTube's own timely actions and those left from the previous video are always replaced,
+    // even while the segments of this one are still loading.
+    if (r?.playerOverlays?.playerOverlayRenderer && configRead('enableSponsorBlock')) {
+      const videoId = r.currentVideoEndpoint?.watchEndpoint?.videoId;
+      const handler = window?.sponsorblock;
       let timelyActions = [];
-      if (window?.sponsorblock?.segments) {
+      if (handler?.segments && (!videoId || handler.videoID === videoId)) {
         for (const segment of window.sponsorblock.segments) {
-          if (manualSkippedSegments.includes(segment.category)) {
+          if (getActionType(segment) === 'skip' && window.sponsorblock.segmentMode(segment) === 'manual') {
             const timelyActionData = timelyAction(
               t('sponsorblock.toasts.skip', { segment: t(`sponsorblock.segments.${segment.category}`) }),
               'SKIP_NEXT',
@@ -243,7 +235,8 @@ JSON.parse = function () {
                   customAction: {
                     action: 'SKIP',
                     parameters: {
-                      time: segment.segment[1]
+                      time: segment.segment[1],
+                      UUID: segment.UUID
                     }
                   }
                 }
@@ -252,12 +245,29 @@ JSON.parse = function () {
               segment.segment[1] * 1000 - segment.segment[0] * 1000
             );
             timelyActions.push(timelyActionData);
+          } else if (getActionType(segment) === 'mute' && window.sponsorblock.segmentMode(segment) === 'manual') {
+            timelyActions.push(timelyAction(
+              t('sponsorblock.toasts.mute', { segment: t(`sponsorblock.segments.${segment.category}`) }),
+              'VOLUME_OFF',
+              {
+                clickTrackingParams: null,
+                showEngagementPanelEndpoint: {
+                  customAction: {
+                    action: 'MUTE_SPONSORBLOCK_SEGMENT',
+                    parameters: {
+                      UUID: segment.UUID
+                    }
+                  }
+                }
+              },
+              segment.segment[0] * 1000,
+              segment.segment[1] * 1000 - segment.segment[0] * 1000
+            ));
           }
         }
-        r.playerOverlays.playerOverlayRenderer.timelyActionRenderers = timelyActions;
+        timelyActions = timelyActions.concat(afterSkipTimelyActions(handler));
       }
-    } else if (r?.playerOverlays?.playerOverlayRenderer) {
-      r.playerOverlays.playerOverlayRenderer.timelyActionRenderers = [];
+      r.playerOverlays.playerOverlayRenderer.timelyActionRenderers = timelyActions;
     }
 
     if (r?.transportControls?.transportControlsRenderer?.promotedActions && configRead('enableSponsorBlockHighlight')) {
@@ -285,12 +295,26 @@ JSON.parse = function () {
         }
       }
     }
-  } catch (e) {
-    console.error('An error occured while processing the JSON:', e);
-  }
 
-  return r;
-};
+    if (r?.transportControls?.transportControlsRenderer?.promotedActions && configRead('enableSponsorBlock')) {
+      r.transportControls.transportControlsRenderer.promotedActions.push({
+        type: 'TRANSPORT_CONTROLS_BUTTON_TYPE_SPONSORBLOCK_SEGMENTS',
+        button: {
+          buttonRenderer: ButtonRenderer(
+            false,
+            t('sponsorblock.segmentList.title'),
+            'MENU',
+            {
+              clickTrackingParams: null,
+              customAction: {
+                action: 'SHOW_SPONSORBLOCK_SEGMENTS'
+              }
+            })
+        }
+      });
+    }
+  }
+});
 
 // Fix playback issues
 
@@ -308,22 +332,16 @@ JSON.stringify = function (value, replacer, space) {
 
 window.JSON.stringify = JSON.stringify;
 
-// Patch JSON.parse to use the custom one
-window.JSON.parse = JSON.parse;
-for (const key in window._yttv) {
-  if (window._yttv[key] && window._yttv[key].JSON && window._yttv[key].JSON.parse) {
-    window._yttv[key].JSON.parse = JSON.parse;
-  }
-}
-
 
-function processShelves(shelves, shouldAddPreviews = true) {
+function processShelves(shelves, shouldAddPreviews = true, newPage = true, list = 'page') {
   for (const shelve of shelves) {
     if (shelve.shelfRenderer) {
       if (!shelve.shelfRenderer.content?.horizontalListRenderer?.items) continue;
-      deArrowify(shelve.shelfRenderer.content.horizontalListRenderer.items);
+      openShortsAsVideos(shelve.shelfRenderer.content.horizontalListRenderer.items);
       hqify(shelve.shelfRenderer.content.horizontalListRenderer.items);
       addLongPress(shelve.shelfRenderer.content.horizontalListRenderer.items);
+      addCollectionLongPress(shelve.shelfRenderer.content.horizontalListRenderer.items);
+      addShelfLongPress(shelve.shelfRenderer);
       if (shouldAddPreviews) {
         addPreviews(shelve.shelfRenderer.content.horizontalListRenderer.items);
       }
@@ -339,6 +357,7 @@ function processShelves(shelves, shouldAddPreviews = true) {
       }
     }
   }
+  manageShelves(shelves, newPage, list);
 }
 
 function addPreviews(items) {
@@ -365,39 +384,33 @@ function addPreviews(items) {
   }
 }
 
-function deArrowify(items) {
+// Shorts tiles open the vertical Shorts player, which has no seek bar, speed control or
+// SponsorBlock overlay. A plain watchEndpoint plays them in the regular player instead.
+function openShortsAsVideos(items) {
+  if (!configRead('enableShorts') || !configRead('openShortsAsVideos')) return;
   for (const item of items) {
-    if (item.adSlotRenderer) {
-      const index = items.indexOf(item);
-      items.splice(index, 1);
-      continue;
-    }
-    if (!item.tileRenderer) continue;
-    if (configRead('enableDeArrow')) {
-      const videoID = item.tileRenderer.contentId;
-      fetch(`https://sponsor.ajay.app/api/branding?videoID=${videoID}`).then(res => res.json()).then(data => {
-        if (data.titles.length > 0) {
-          const mostVoted = data.titles.reduce((max, title) => max.votes > title.votes ? max : title);
-          item.tileRenderer.metadata.tileMetadataRenderer.title.simpleText = mostVoted.title;
-        }
-
-        if (data.thumbnails.length > 0 && configRead('enableDeArrowThumbnails')) {
-          const mostVotedThumbnail = data.thumbnails.reduce((max, thumbnail) => max.votes > thumbnail.votes ? max : thumbnail);
-          if (mostVotedThumbnail.timestamp) {
-            item.tileRenderer.header.tileHeaderRenderer.thumbnail.thumbnails = [
-              {
-                url: `https://dearrow-thumb.ajay.app/api/v1/getThumbnail?videoID=${videoID}&time=${mostVotedThumbnail.timestamp}`,
-                width: 1280,
-                height: 640
-              }
-            ]
-          }
-        }
-      }).catch(() => { });
+    const reelWatchEndpoint = item.tileRenderer?.onSelectCommand?.reelWatchEndpoint;
+    if (!reelWatchEndpoint?.videoId) continue;
+    item.tileRenderer.onSelectCommand = reelToWatchCommand(item.tileRenderer.onSelectCommand);
+
+    // "Play" entries of YouTube's own long-press menu.
+    for (const menuItem of item.tileRenderer.onLongPressCommand?.showMenuCommand?.menu?.menuRenderer?.items || []) {
+      const renderer = menuItem.menuNavigationItemRenderer;
+      if (renderer?.navigationEndpoint?.reelWatchEndpoint?.videoId) {
+        renderer.navigationEndpoint = reelToWatchCommand(renderer.navigationEndpoint);
+      }
     }
   }
 }
 
+function reelToWatchCommand(command) {
+  return {
+    clickTrackingParams: command.clickTrackingParams,
+    watchEndpoint: {
+      videoId: command.reelWatchEndpoint.videoId
+    }
+  };
+}
 
 function hqify(items) {
   for (const item of items) {
@@ -434,6 +447,7 @@ function addLongPress(items) {
             }
           }
         }));
+        item.tileRenderer.onLongPressCommand.showMenuCommand.menu.menuRenderer.items.push(...extraLongPressItems(copiedItem));
       continue;
     }
     if (!configRead('enableLongPress')) continue;
@@ -452,22 +466,91 @@ function addLongPress(items) {
       watchEndpointData: copiedItem.tileRenderer.onSelectCommand.watchEndpoint,
       item: copiedItem
     });
+    data.showMenuCommand.menu.menuRenderer.items.push(...extraLongPressItems(copiedItem));
     item.tileRenderer.onLongPressCommand = data;
   }
 }
 
+// TizenTube entries appended to every video tile's long-press menu.
+function extraLongPressItems(item) {
+  const videoId = item.tileRenderer.contentId;
+  const menuItems = [];
+
+  if (configRead('enableDeArrow')) {
+    menuItems.push(MenuServiceItemRenderer(t('dearrow.showOriginalTitle'), {
+      clickTrackingParams: null,
+      playlistEditEndpoint: {
+        customAction: {
+          action: 'SHOW_ORIGINAL_TITLE',
+          parameters: { videoId }
+        }
+      }
+    }));
+  }
+
+  if (configRead('enableLocalWatchHistory') && videoId) {
+    const percentWatched = getWatchedPercent(videoId, resumePercent(item.tileRenderer));
+    const watched = percentWatched !== null && percentWatched > configRead('hideWatchedVideosThreshold');
+    menuItems.push(MenuServiceItemRenderer(t(watched ? 'watchHistory.markUnwatched' : 'watchHistory.markWatched'), {
+      clickTrackingParams: null,
+      playlistEditEndpoint: {
+        customAction: {
+          action: 'MARK_WATCHED',
+          parameters: { videoId, watched: !watched }
+        }
+      }
+    }));
+  }
+
+  const channel = getTileChannel(item.tileRenderer);
+  if (channel && (configRead('enableSponsorBlock') || configRead('enableDeArrow'))) {
+    const whitelisted = isChannelWhitelisted(channel);
+    menuItems.push(MenuServiceItemRenderer(t(whitelisted ? 'channelWhitelist.remove' : 'channelWhitelist.add'), {
+      clickTrackingParams: null,
+      playlistEditEndpoint: {
+        customAction: {
+          action: 'TOGGLE_CHANNEL_WHITELIST',
+          parameters: { channel, whitelisted: !whitelisted }
+        }
+      }
+    }));
+  }
+
+  if (channel) {
+    menuItems.push(MenuServiceItemRenderer(t('channelBlocklist.blockChannel'), {
+      clickTrackingParams: null,
+      playlistEditEndpoint: {
+        customAction: {
+          action: 'BLOCK_CHANNEL',
+          parameters: channel
+        }
+      }
+    }));
+  }
+
+  return menuItems;
+}
+
 function hideVideo(items) {
+  const pageName = getCurrentPage();
   return items.filter(item => {
     if (!item.tileRenderer) return true;
-    const progressBar = item.tileRenderer.header?.tileHeaderRenderer?.thumbnailOverlays?.find(overlay => overlay.thumbnailOverlayResumePlaybackRenderer)?.thumbnailOverlayResumePlaybackRenderer;
-    if (!progressBar) return true;
+    if (isTileFromBlockedChannel(item.tileRenderer)) return false;
+    if (isTileHiddenByTitleFilter(item.tileRenderer, pageName)) return false;
+    if (isTileHiddenByContentFilter(item.tileRenderer, pageName)) return false;
+    const percentWatched = getWatchedPercent(item.tileRenderer.contentId, resumePercent(item.tileRenderer));
+    if (percentWatched === null) return true;
     const pages = configRead('hideWatchedVideosPages');
     if (!pages.length) return true;
-    const hash = location.hash.substring(1);
-    const pageName = hash === '/' ? 'home' : hash.startsWith('/search') ? 'search' : hash.split('?')[1]?.split('&')[0]?.split('=')[1]?.replace('FE', '')?.replace('topics_', '') ?? '';
     if (!pages.includes(pageName)) return true;
 
-    const percentWatched = (progressBar.percentDurationWatched || 0);
     return percentWatched <= configRead('hideWatchedVideosThreshold');
   });
 }
+
+// Progress from YouTube's resume bar, null when the tile has none.
+function resumePercent(tileRenderer) {
+  const progressBar = tileRenderer.header?.tileHeaderRenderer?.thumbnailOverlays?.find(overlay => overlay.thumbnailOverlayResumePlaybackRenderer)?.thumbnailOverlayResumePlaybackRenderer;
+  if (!progressBar) return null;
+  return progressBar.percentDurationWatched || 0;
+}
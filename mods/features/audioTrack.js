@@ -0,0 +1,38 @@
+import { configRead, configWrite } from '../config.js';
+import { registerResponseProcessor } from '../responsePipeline.js';
+import { selectAudioTrack } from './audioTrackCore.js';
+import { moveItem } from '../utils/array.js';
+
+// Language of the YouTube interface, the same one moreSubtitles.js offers as local subtitle.
+function getUiLanguage() {
+    return window.yt?.config_?.HL || navigator.language || null;
+}
+
+// Only the preferred track is left in the response, so the player cannot pick an auto-dub.
+registerResponseProcessor('audioTrack', {
+    priority: 25,
+    types: ['player'],
+    match: r => Boolean(r.streamingData?.adaptiveFormats),
+    process(r) {
+        const mode = configRead('preferredAudioTrack');
+        if (mode === 'default') return;
+
+        r.streamingData.adaptiveFormats = selectAudioTrack(r.streamingData.adaptiveFormats, {
+            mode,
+            uiLanguage: getUiLanguage(),
+            languages: configRead('preferredAudioLanguages')
+        });
+    }
+});
+
+/**
+ * Moves a preferred audio language up or down the list the 'list' mode tries in order.
+ * @param {number} index
+ * @param {number} delta
+ * @returns {number} The new index of the language.
+ */
+export function movePreferredAudioLanguage(index, delta) {
+    const languages = configRead('preferredAudioLanguages');
+    configWrite('preferredAudioLanguages', moveItem(languages, index, delta));
+    return Math.min(languages.length - 1, Math.max(0, index + delta));
+}
@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getAudioTrackInfo, selectAudioTrack } from './audioTrackCore.js';
+
+const audio = (id, xtags, displayName = id) => ({ mimeType: 'audio/mp4; codecs="mp4a.40.2"', itag: 140, xtags, audioTrack: { id, displayName } });
+const video = { mimeType: 'video/mp4; codecs="avc1.640028"', itag: 137 };
+
+const formats = [
+    video,
+    audio('en.4', 'acont=original:lang=en', 'English original'),
+    audio('de.10', 'acont=dubbed-auto:lang=de'),
+    audio('es-419.3', 'acont=dubbed:lang=es-419'),
+    audio('es.10', 'acont=dubbed-auto:lang=es')
+];
+
+const trackIds = list => list.map(format => format.audioTrack ? format.audioTrack.id : 'video');
+
+test('getAudioTrackInfo reads xtags and falls back to the display name', () => {
+    assert.deepEqual(getAudioTrackInfo(formats[2]), { id: 'de.10', language: 'de', original: false, autoDubbed: true, isDefault: false });
+    assert.equal(getAudioTrackInfo({ audioTrack: { id: 'fr.4', displayName: 'French (original)' } }).original, true);
+    assert.equal(getAudioTrackInfo(video), null);
+});
+
+test('selectAudioTrack keeps the original track', () => {
+    assert.deepEqual(trackIds(selectAudioTrack(formats, { mode: 'original' })), ['video', 'en.4']);
+});
+
+test('selectAudioTrack follows the UI language and the ordered list', () => {
+    assert.deepEqual(trackIds(selectAudioTrack(formats, { mode: 'uiLanguage', uiLanguage: 'de-DE' })), ['video', 'de.10']);
+    assert.deepEqual(trackIds(selectAudioTrack(formats, { mode: 'uiLanguage', uiLanguage: 'en-GB' })), ['video', 'en.4']);
+    assert.deepEqual(trackIds(selectAudioTrack(formats, { mode: 'list', languages: ['fr', 'es'] })), ['video', 'es-419.3']);
+    assert.deepEqual(trackIds(selectAudioTrack(formats, { mode: 'list', languages: ['fr'] })), ['video', 'en.4']);
+});
+
+test('selectAudioTrack leaves single-track responses alone', () => {
+    const single = [video, audio('en.4', 'acont=original:lang=en')];
+    assert.equal(selectAudioTrack(single, { mode: 'list', languages: ['de'] }), single);
+});
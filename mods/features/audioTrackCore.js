@@ -0,0 +1,80 @@
+// Reads the audio track of an adaptive audio format. YouTube tags tracks with xtags such as
+// "acont=original:lang=en" or "acont=dubbed-auto:lang=de"; older responses only carry the
+// audioTrack object, whose display name ends in "original" for the original track.
+export function getAudioTrackInfo(format) {
+    const track = format.audioTrack;
+    if (!track) return null;
+
+    const xtags = format.xtags || '';
+    const content = /acont=([\w-]+)/.exec(xtags)?.[1] || null;
+    const language = /lang=([\w-]+)/.exec(xtags)?.[1] || (track.id || '').split('.')[0] || null;
+
+    return {
+        id: track.id || track.displayName,
+        language,
+        original: content ? content === 'original' : /original/i.test(track.displayName || ''),
+        autoDubbed: content === 'dubbed-auto',
+        isDefault: Boolean(track.audioIsDefault)
+    };
+}
+
+const baseLanguage = language => (language || '').split(/[-_]/)[0].toLowerCase();
+
+// Exact match first ("zh-TW"), then the base language ("en" for "en-US").
+function findByLanguage(tracks, language) {
+    const wanted = (language || '').toLowerCase();
+    return tracks.find(track => (track.language || '').toLowerCase() === wanted)
+        || tracks.find(track => baseLanguage(track.language) === baseLanguage(wanted))
+        || null;
+}
+
+/**
+ * Picks the audio track to keep.
+ * @param {ReturnType<typeof getAudioTrackInfo>[]} tracks One entry per distinct track.
+ * @param {object} preference
+ * @param {'original'|'uiLanguage'|'list'} preference.mode
+ * @param {string} [preference.uiLanguage]
+ * @param {string[]} [preference.languages] Ordered, for the 'list' mode.
+ * @returns {ReturnType<typeof getAudioTrackInfo>|null} null to leave the formats alone.
+ */
+export function pickAudioTrack(tracks, preference) {
+    const original = tracks.find(track => track.original) || null;
+    const languages = preference.mode === 'uiLanguage' ? [preference.uiLanguage]
+        : preference.mode === 'list' ? preference.languages || []
+            : [];
+
+    for (const language of languages) {
+        if (!language) continue;
+        // The original track wins over a dub in the same language.
+        if (original && baseLanguage(original.language) === baseLanguage(language)) return original;
+        const track = findByLanguage(tracks.filter(candidate => !candidate.autoDubbed), language)
+            || findByLanguage(tracks, language);
+        if (track) return track;
+    }
+
+    return original;
+}
+
+/**
+ * Removes the audio formats of every track but the preferred one. Responses with a single
+ * audio track are returned unchanged.
+ * @param {object[]} formats streamingData.adaptiveFormats
+ * @param {object} preference See pickAudioTrack.
+ * @returns {object[]}
+ */
+export function selectAudioTrack(formats, preference) {
+    const tracks = [];
+    for (const format of formats) {
+        const info = getAudioTrackInfo(format);
+        if (info && !tracks.some(track => track.id === info.id)) tracks.push(info);
+    }
+    if (tracks.length < 2) return formats;
+
+    const chosen = pickAudioTrack(tracks, preference);
+    if (!chosen) return formats;
+
+    return formats.filter(format => {
+        const info = getAudioTrackInfo(format);
+        return !info || info.id === chosen.id;
+    });
+}
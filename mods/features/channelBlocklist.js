@@ -0,0 +1,24 @@
+import { configRead, configWrite } from '../config.js';
+import { addBlockedChannel, getTileChannel, isChannelBlocked, removeBlockedChannel } from './channelBlocklistCore.js';
+
+const BLOCKED_CHANNELS_KEY = 'blockedChannels';
+
+export function getBlockedChannels() {
+    return configRead(BLOCKED_CHANNELS_KEY);
+}
+
+export function blockChannel(channel) {
+    configWrite(BLOCKED_CHANNELS_KEY, addBlockedChannel(getBlockedChannels(), channel));
+}
+
+export function unblockChannel(channel) {
+    configWrite(BLOCKED_CHANNELS_KEY, removeBlockedChannel(getBlockedChannels(), channel));
+}
+
+export function isTileFromBlockedChannel(tileRenderer) {
+    const blockedChannels = getBlockedChannels();
+    if (!blockedChannels.length) return false;
+    return isChannelBlocked(getTileChannel(tileRenderer), blockedChannels);
+}
+
+export { getTileChannel };
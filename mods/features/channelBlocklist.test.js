@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { addBlockedChannel, getTileChannel, isChannelBlocked, removeBlockedChannel } from './channelBlocklistCore.js';
+
+const CHANNEL_ID = 'UCabcdefghijklmnopqrstuv';
+
+function tile({ name = 'Some Channel', withMenu = true } = {}) {
+    return {
+        contentId: 'video1',
+        metadata: {
+            tileMetadataRenderer: {
+                title: { simpleText: 'A video' },
+                lines: [{ lineRenderer: { items: [{ lineItemRenderer: { text: { runs: [{ text: name }] } } }] } }]
+            }
+        },
+        onLongPressCommand: withMenu ? {
+            showMenuCommand: {
+                menu: {
+                    menuRenderer: {
+                        items: [{
+                            menuNavigationItemRenderer: {
+                                navigationEndpoint: { browseEndpoint: { browseId: CHANNEL_ID } }
+                            }
+                        }]
+                    }
+                }
+            }
+        } : undefined
+    };
+}
+
+test('getTileChannel reads the channel name and id', () => {
+    assert.deepEqual(getTileChannel(tile()), { id: CHANNEL_ID, name: 'Some Channel' });
+    assert.deepEqual(getTileChannel(tile({ withMenu: false })), { id: null, name: 'Some Channel' });
+    assert.equal(getTileChannel({ contentId: 'video1' }), null);
+});
+
+test('isChannelBlocked matches by id and falls back to the name', () => {
+    const blocked = [{ id: CHANNEL_ID, name: 'Renamed Channel' }, { id: null, name: 'Other' }];
+
+    assert.equal(isChannelBlocked({ id: CHANNEL_ID, name: 'Some Channel' }, blocked), true);
+    assert.equal(isChannelBlocked({ id: null, name: 'Other' }, blocked), true);
+    assert.equal(isChannelBlocked({ id: 'UCzzzzzzzzzzzzzzzzzzzzzz', name: 'Renamed Channel' }, blocked), false);
+    assert.equal(isChannelBlocked(null, blocked), false);
+});
+
+test('addBlockedChannel and removeBlockedChannel keep the list free of duplicates', () => {
+    const channel = { id: CHANNEL_ID, name: 'Some Channel' };
+    const blocked = addBlockedChannel([], channel);
+
+    assert.deepEqual(blocked, [channel]);
+    assert.equal(addBlockedChannel(blocked, channel), blocked);
+    assert.deepEqual(removeBlockedChannel(blocked, channel), []);
+});
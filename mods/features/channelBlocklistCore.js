@@ -0,0 +1,56 @@
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+
+function readText(text) {
+    if (!text) return null;
+    if (text.simpleText !== undefined) return text.simpleText;
+    return text.runs ? text.runs.map(run => run.text).join('') : null;
+}
+
+// Depth-first search for the first browseEndpoint that points to a channel.
+function findChannelId(node) {
+    if (!node || typeof node !== 'object') return null;
+
+    const browseId = node.browseEndpoint?.browseId;
+    if (typeof browseId === 'string' && CHANNEL_ID_PATTERN.test(browseId)) return browseId;
+
+    for (const key in node) {
+        const id = findChannelId(node[key]);
+        if (id) return id;
+    }
+    return null;
+}
+
+/**
+ * Reads the channel a video tile belongs to. The name is the first metadata line; the id
+ * comes from the "Go to channel" entry of YouTube's own long-press menu or from the
+ * metadata runs, and is null when the tile has neither.
+ * @param {object} tileRenderer
+ * @returns {{ id: string|null, name: string|null }|null}
+ */
+export function getTileChannel(tileRenderer) {
+    const lines = tileRenderer?.metadata?.tileMetadataRenderer?.lines;
+    const nameText = lines?.[0]?.lineRenderer?.items?.[0]?.lineItemRenderer?.text;
+    const name = readText(nameText)?.trim() || null;
+    const id = findChannelId(lines) || findChannelId(tileRenderer?.onLongPressCommand?.showMenuCommand?.menu);
+
+    if (!id && !name) return null;
+    return { id, name };
+}
+
+// Entries are matched by channel id when both sides have one, by name otherwise.
+export function isChannelBlocked(channel, blockedChannels) {
+    if (!channel || !blockedChannels?.length) return false;
+
+    return blockedChannels.some(entry =>
+        entry.id && channel.id ? entry.id === channel.id : Boolean(entry.name) && entry.name === channel.name
+    );
+}
+
+export function addBlockedChannel(blockedChannels, channel) {
+    if (!channel || isChannelBlocked(channel, blockedChannels)) return blockedChannels;
+    return blockedChannels.concat({ id: channel.id || null, name: channel.name || channel.id });
+}
+
+export function removeBlockedChannel(blockedChannels, channel) {
+    return blockedChannels.filter(entry => !isChannelBlocked(channel, [entry]));
+}
@@ -0,0 +1,22 @@
+import { configRead, configWrite } from '../config.js';
+import { addBlockedChannel, isChannelBlocked, removeBlockedChannel } from './channelBlocklistCore.js';
+
+// Channels whose videos are neither skipped by SponsorBlock nor retitled by DeArrow. Entries
+// have the same shape as blocked channels, so the blocklist helpers match them.
+const WHITELISTED_CHANNELS_KEY = 'whitelistedChannels';
+
+export function getWhitelistedChannels() {
+    return configRead(WHITELISTED_CHANNELS_KEY);
+}
+
+export function isChannelWhitelisted(channel) {
+    return isChannelBlocked(channel, getWhitelistedChannels());
+}
+
+export function whitelistChannel(channel) {
+    configWrite(WHITELISTED_CHANNELS_KEY, addBlockedChannel(getWhitelistedChannels(), channel));
+}
+
+export function unwhitelistChannel(channel) {
+    configWrite(WHITELISTED_CHANNELS_KEY, removeBlockedChannel(getWhitelistedChannels(), channel));
+}
@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyCodecPolicy, getFormatCodec, parseCodecOrder } from './codecPolicyCore.js';
+
+const format = (codecs, height, fps = 30) => ({ mimeType: `video/${codecs.startsWith('avc') ? 'mp4' : 'webm'}; codecs="${codecs}"`, width: Math.round(height * 16 / 9), height, fps });
+const audio = { mimeType: 'audio/webm; codecs="opus"' };
+const anyPolicy = { codecPolicy720p: 'any', codecPolicy1080p: 'any', codecPolicy1440p: 'any', codecPolicy2160p: 'any' };
+const describe = formats => formats.map(f => f.mimeType.startsWith('audio/') ? 'audio' : `${getFormatCodec(f)}@${f.height}`);
+
+const formats = [
+    format('av01.0.12M.08', 2160), format('vp09.00.51.08', 2160),
+    format('av01.0.08M.08', 1080), format('vp09.00.40.08', 1080), format('avc1.640028', 1080),
+    format('avc1.4d401f', 720, 60),
+    audio
+];
+
+test('getFormatCodec and parseCodecOrder normalise codec names', () => {
+    assert.equal(getFormatCodec(format('vp09.00.51.08', 2160)), 'vp9');
+    assert.equal(getFormatCodec({ mimeType: 'video/mp4; codecs="hev1.1.6.L93.B0"' }), 'hevc');
+    assert.deepEqual(parseCodecOrder('VP9, avc1'), ['vp9', 'avc1']);
+    assert.equal(parseCodecOrder('any'), null);
+});
+
+test('applyCodecPolicy keeps the first available codec of each band', () => {
+    const policy = Object.assign({}, anyPolicy, { codecPolicy1080p: 'av01,vp9,avc1', codecPolicy2160p: 'vp9,avc1' });
+    assert.deepEqual(describe(applyCodecPolicy(formats, { policy })), ['vp9@2160', 'av01@1080', 'avc1@720', 'audio']);
+});
+
+test('applyCodecPolicy drops bands without an allowed codec and applies caps', () => {
+    const policy = Object.assign({}, anyPolicy, { codecPolicy2160p: 'avc1' });
+    assert.deepEqual(describe(applyCodecPolicy(formats, { policy, maxFps: 30 })), ['av01@1080', 'vp9@1080', 'avc1@1080', 'audio']);
+    assert.deepEqual(describe(applyCodecPolicy(formats, { policy: anyPolicy, maxHeight: 720 })), ['avc1@720', 'audio']);
+});
+
+test('applyCodecPolicy leaves the formats alone rather than removing every video', () => {
+    assert.equal(applyCodecPolicy(formats, { policy: anyPolicy, maxHeight: 144 }), formats);
+});
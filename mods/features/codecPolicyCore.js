@@ -0,0 +1,80 @@
+// Resolution bands, by the short side of the video, each with the config key holding its codec
+// order. A format belongs to the first band whose maxHeight it does not exceed.
+export const RESOLUTION_BANDS = [
+    { maxHeight: 720, configKey: 'codecPolicy720p' },
+    { maxHeight: 1080, configKey: 'codecPolicy1080p' },
+    { maxHeight: 1440, configKey: 'codecPolicy1440p' },
+    { maxHeight: Infinity, configKey: 'codecPolicy2160p' }
+];
+
+const CODECS = [
+    { name: 'av01', test: codecs => codecs.includes('av01') || codecs.includes('av1') },
+    { name: 'vp9', test: codecs => codecs.includes('vp09') || codecs.includes('vp9') },
+    { name: 'hevc', test: codecs => codecs.includes('hev') || codecs.includes('hvc') },
+    { name: 'avc1', test: codecs => codecs.includes('avc') },
+    { name: 'vp8', test: codecs => codecs.includes('vp08') || codecs.includes('vp8') }
+];
+
+export function getFormatCodec(format) {
+    const mimeType = (format.mimeType || '').toLowerCase();
+    const codec = CODECS.find(candidate => candidate.test(mimeType));
+    return codec ? codec.name : null;
+}
+
+function getFormatHeight(format) {
+    if (format.width && format.height) return Math.min(format.width, format.height);
+    return format.height || 0;
+}
+
+// "vp9,avc1" -> ['vp9', 'avc1']. 'any' and empty orders allow every codec.
+export function parseCodecOrder(order) {
+    if (!order || order === 'any') return null;
+    return order.split(',').map(codec => codec.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Filters adaptive formats by a per-resolution codec policy and global caps. Within a band only
+ * the most preferred codec that is available is kept; bands without any allowed codec are
+ * dropped. If nothing playable would be left, the formats are returned unchanged.
+ * @param {object[]} formats streamingData.adaptiveFormats
+ * @param {object} options
+ * @param {Object<string, string>} options.policy Codec order per band config key.
+ * @param {number} [options.maxHeight] 0 for no limit.
+ * @param {number} [options.maxFps] 0 for no limit.
+ * @returns {object[]}
+ */
+export function applyCodecPolicy(formats, { policy, maxHeight = 0, maxFps = 0 }) {
+    const isVideo = format => !(format.mimeType || '').startsWith('audio/');
+
+    const capped = formats.filter(format => {
+        if (!isVideo(format)) return true;
+        if (maxHeight && getFormatHeight(format) > maxHeight) return false;
+        if (maxFps && format.fps > maxFps) return false;
+        return true;
+    });
+
+    const keptCodecs = new Map();
+    for (const band of RESOLUTION_BANDS) {
+        const order = parseCodecOrder(policy[band.configKey]);
+        if (!order) continue;
+
+        const available = capped
+            .filter(format => isVideo(format) && bandOf(format) === band)
+            .map(getFormatCodec);
+        keptCodecs.set(band, order.find(codec => available.includes(codec)) || null);
+    }
+
+    const filtered = capped.filter(format => {
+        if (!isVideo(format)) return true;
+        const band = bandOf(format);
+        if (!keptCodecs.has(band)) return true;
+        return getFormatCodec(format) === keptCodecs.get(band);
+    });
+
+    return filtered.some(isVideo) ? filtered : formats;
+}
+
+function bandOf(format) {
+    const height = getFormatHeight(format);
+    return RESOLUTION_BANDS.find(band => height <= band.maxHeight);
+}
@@ -0,0 +1,18 @@
+import { configRead } from '../config.js';
+import { getTileContentInfo, shouldHideTile } from './contentFilterCore.js';
+
+export const CONTENT_FILTER_PAGES = ['home', 'subscriptions', 'search', 'channel'];
+
+export function isTileHiddenByContentFilter(tileRenderer, page) {
+    if (!CONTENT_FILTER_PAGES.includes(page)) return false;
+
+    return shouldHideTile(getTileContentInfo(tileRenderer), page, {
+        livePages: configRead('hideLiveVideosPages'),
+        upcomingPages: configRead('hideUpcomingVideosPages'),
+        membersOnlyPages: configRead('hideMembersOnlyVideosPages'),
+        shortPages: configRead('hideShortVideosPages'),
+        shortUnder: configRead('hideShortVideosUnder'),
+        longPages: configRead('hideLongVideosPages'),
+        longOver: configRead('hideLongVideosOver')
+    });
+}
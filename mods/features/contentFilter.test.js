@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getTileContentInfo, parseDuration, shouldHideTile } from './contentFilterCore.js';
+
+function tile({ overlay, badge, upcoming } = {}) {
+    return {
+        header: {
+            tileHeaderRenderer: {
+                thumbnailOverlays: overlay ? [{ thumbnailOverlayTimeStatusRenderer: overlay }] : []
+            }
+        },
+        metadata: {
+            tileMetadataRenderer: {
+                lines: [{ lineRenderer: { items: badge ? [{ lineItemRenderer: { badge: { metadataBadgeRenderer: badge } } }] : [] } }]
+            }
+        },
+        onSelectCommand: { watchEndpoint: upcoming ? { upcomingEventData: {} } : {} }
+    };
+}
+
+const noFilters = {
+    livePages: [],
+    upcomingPages: [],
+    membersOnlyPages: [],
+    shortPages: [],
+    shortUnder: 120,
+    longPages: [],
+    longOver: 3600
+};
+
+test('parseDuration reads clock times only', () => {
+    assert.equal(parseDuration('0:59'), 59);
+    assert.equal(parseDuration('12:34'), 754);
+    assert.equal(parseDuration('1:02:03'), 3723);
+    assert.equal(parseDuration('LIVE'), null);
+    assert.equal(parseDuration(undefined), null);
+});
+
+test('getTileContentInfo reads overlays and badges', () => {
+    assert.deepEqual(getTileContentInfo(tile({ overlay: { text: { simpleText: '10:00' }, style: 'DEFAULT' } })),
+        { live: false, upcoming: false, membersOnly: false, duration: 600 });
+    assert.equal(getTileContentInfo(tile({ overlay: { text: { runs: [{ text: 'LIVE' }] }, style: 'LIVE' } })).live, true);
+    assert.equal(getTileContentInfo(tile({ badge: { style: 'BADGE_STYLE_TYPE_LIVE_NOW', label: 'LIVE' } })).live, true);
+    assert.equal(getTileContentInfo(tile({ upcoming: true })).upcoming, true);
+    assert.equal(getTileContentInfo(tile({ badge: { style: 'BADGE_STYLE_TYPE_MEMBERS_ONLY', label: 'Members only' } })).membersOnly, true);
+});
+
+test('shouldHideTile applies each filter on its own pages', () => {
+    const live = { live: true, upcoming: false, membersOnly: false, duration: null };
+    const short = { live: false, upcoming: false, membersOnly: false, duration: 45 };
+    const long = { live: false, upcoming: false, membersOnly: false, duration: 7200 };
+
+    assert.equal(shouldHideTile(live, 'home', Object.assign({}, noFilters, { livePages: ['home'] })), true);
+    assert.equal(shouldHideTile(live, 'search', Object.assign({}, noFilters, { livePages: ['home'] })), false);
+    assert.equal(shouldHideTile(short, 'channel', Object.assign({}, noFilters, { shortPages: ['channel'] })), true);
+    assert.equal(shouldHideTile(long, 'subscriptions', Object.assign({}, noFilters, { longPages: ['subscriptions'] })), true);
+    assert.equal(shouldHideTile(long, 'subscriptions', Object.assign({}, noFilters, { shortPages: ['subscriptions'] })), false);
+});
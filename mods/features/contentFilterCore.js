@@ -0,0 +1,68 @@
+// Collects every object stored under `key` anywhere below node.
+function collect(node, key, found = []) {
+    if (!node || typeof node !== 'object') return found;
+
+    for (const childKey in node) {
+        const child = node[childKey];
+        if (childKey === key && child && typeof child === 'object') found.push(child);
+        collect(child, key, found);
+    }
+    return found;
+}
+
+function readText(text) {
+    if (!text) return '';
+    if (text.simpleText !== undefined) return text.simpleText;
+    return text.runs ? text.runs.map(run => run.text).join('') : '';
+}
+
+// "1:02:03" -> 3723. Null for anything that is not a clock time, like "LIVE".
+export function parseDuration(text) {
+    if (!/^\d+(:\d{1,2}){1,2}$/.test(text || '')) return null;
+    return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Reads what the content filters look at from a tile: the duration overlay on the thumbnail
+ * and the badges in the tile metadata.
+ * @param {object} tileRenderer
+ * @returns {{ live: boolean, upcoming: boolean, membersOnly: boolean, duration: number|null }}
+ */
+export function getTileContentInfo(tileRenderer) {
+    const overlays = collect(tileRenderer?.header, 'thumbnailOverlayTimeStatusRenderer');
+    const badges = collect(tileRenderer?.metadata, 'metadataBadgeRenderer')
+        .concat(collect(tileRenderer?.header, 'metadataBadgeRenderer'));
+
+    const overlayStyles = overlays.map(overlay => overlay.style);
+    const badgeStyles = badges.map(badge => badge.style || '');
+
+    let duration = null;
+    for (const overlay of overlays) {
+        duration = parseDuration(readText(overlay.text).trim());
+        if (duration !== null) break;
+    }
+
+    return {
+        live: overlayStyles.includes('LIVE') || badgeStyles.some(style => style.includes('LIVE_NOW')),
+        upcoming: overlayStyles.includes('UPCOMING') || Boolean(tileRenderer?.onSelectCommand?.watchEndpoint?.upcomingEventData),
+        membersOnly: badgeStyles.some(style => style.includes('MEMBERS_ONLY')),
+        duration
+    };
+}
+
+/**
+ * Decides whether a tile is hidden on a page.
+ * @param {ReturnType<typeof getTileContentInfo>} info
+ * @param {string} page Page key, see pageKeyFromHash.
+ * @param {object} filters Page lists per filter, plus the duration limits in seconds.
+ */
+export function shouldHideTile(info, page, filters) {
+    if (info.live && filters.livePages.includes(page)) return true;
+    if (info.upcoming && filters.upcomingPages.includes(page)) return true;
+    if (info.membersOnly && filters.membersOnlyPages.includes(page)) return true;
+
+    if (info.duration === null || info.live || info.upcoming) return false;
+    if (filters.shortPages.includes(page) && info.duration < filters.shortUnder) return true;
+    if (filters.longPages.includes(page) && info.duration > filters.longOver) return true;
+    return false;
+}
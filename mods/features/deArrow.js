@@ -0,0 +1,216 @@
+import { configRead } from '../config.js';
+import { registerResponseProcessor } from '../responsePipeline.js';
+import { LruCache, RequestQueue, formatTitle, pickBranding } from './deArrowCore.js';
+import { findVideoId } from './returnYoutubeDislikeCore.js';
+import { getTileChannel } from './channelBlocklistCore.js';
+import { isChannelWhitelisted } from './channelWhitelist.js';
+import { getVideoChannel } from './videoChannel.js';
+import { apiBaseUrl, normalizeServerUrl } from './sponsorblockCore.js';
+
+const DEFAULT_THUMBNAIL_SERVER = 'https://dearrow-thumb.ajay.app';
+const STORAGE_KEY = 'tizentube_dearrow_cache';
+const MAX_ENTRIES = 1000;
+const TTL_MS = 12 * 60 * 60 * 1000;
+const MAX_CONCURRENT_REQUESTS = 4;
+const PERSIST_DELAY_MS = 2000;
+
+const cache = new LruCache({ maxEntries: MAX_ENTRIES, ttlMs: TTL_MS });
+const queue = new RequestQueue(MAX_CONCURRENT_REQUESTS);
+const originalTitles = new Map();
+let persistTimeout = null;
+
+try {
+    cache.load(JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]'));
+} catch (err) {
+    console.warn('[DeArrow] Cache read failed:', err);
+}
+
+function persistCache() {
+    if (persistTimeout) return;
+
+    persistTimeout = setTimeout(() => {
+        persistTimeout = null;
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(cache.serialize()));
+        } catch (err) {
+            console.warn('[DeArrow] Cache write failed:', err);
+        }
+    }, PERSIST_DELAY_MS);
+}
+
+export function getCachedBranding(videoId) {
+    return cache.get(videoId);
+}
+
+export function fetchBranding(videoId) {
+    const cached = cache.get(videoId);
+    if (cached) return Promise.resolve(cached);
+
+    return queue.run(videoId, () =>
+        fetch(`${apiBaseUrl(configRead('sponsorBlockServer'))}/branding?videoID=${videoId}`)
+            .then(res => {
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                return res.json();
+            })
+            .then(data => {
+                const branding = pickBranding(data);
+                cache.set(videoId, branding);
+                persistCache();
+                return branding;
+            })
+    );
+}
+
+export function thumbnailUrl(videoId, timestamp) {
+    const server = normalizeServerUrl(configRead('deArrowThumbnailServer')) || DEFAULT_THUMBNAIL_SERVER;
+    return `${server}/api/v1/getThumbnail?videoID=${videoId}&time=${timestamp}`;
+}
+
+function readText(text) {
+    if (!text) return null;
+    if (text.simpleText !== undefined) return text.simpleText;
+    return text.runs ? text.runs.map(run => run.text).join('') : null;
+}
+
+function rememberOriginalTitle(videoId, title) {
+    if (title === null || originalTitles.has(videoId)) return;
+    originalTitles.set(videoId, title);
+    if (originalTitles.size > MAX_ENTRIES) originalTitles.delete(originalTitles.keys().next().value);
+}
+
+// The DeArrow title, or the original one when there is no submission, run through the
+// title formatting options.
+function displayTitle(title, original) {
+    return formatTitle(title || original, {
+        mode: configRead('deArrowTitleFormat'),
+        fixAllCaps: configRead('deArrowFixAllCaps'),
+        removeTrailingEmoji: configRead('deArrowRemoveTrailingEmoji')
+    });
+}
+
+// Writes a title into either a simpleText or a runs text object and remembers the original.
+function replaceTitle(videoId, text, brandingTitle) {
+    if (!text) return;
+
+    const current = readText(text);
+    const title = displayTitle(brandingTitle, getOriginalTitle(videoId) || current);
+    if (!title || current === title) return;
+    rememberOriginalTitle(videoId, current);
+
+    if (text.runs && text.simpleText === undefined) {
+        text.runs = [{ text: title }];
+    } else {
+        text.simpleText = title;
+    }
+}
+
+export function getOriginalTitle(videoId) {
+    return originalTitles.get(videoId) || null;
+}
+
+function applyTileBranding(tileRenderer, videoId, branding) {
+    replaceTitle(videoId, tileRenderer.metadata?.tileMetadataRenderer?.title, branding.title);
+
+    if (branding.thumbnail !== null && configRead('enableDeArrowThumbnails') && tileRenderer.header?.tileHeaderRenderer?.thumbnail) {
+        tileRenderer.header.tileHeaderRenderer.thumbnail.thumbnails = [
+            {
+                url: thumbnailUrl(videoId, branding.thumbnail),
+                width: 1280,
+                height: 640
+            }
+        ];
+    }
+}
+
+// Known videos are branded synchronously, while the response is still being parsed. Unknown
+// ones get their original title formatted right away and are patched again when the request
+// finishes.
+function brand(videoId, apply) {
+    if (!videoId) return;
+
+    const cached = cache.get(videoId);
+    if (cached) {
+        apply(cached);
+        return;
+    }
+
+    apply({ title: null, thumbnail: null });
+
+    fetchBranding(videoId)
+        .then(apply)
+        .catch(() => { });
+}
+
+function isVideoTile(tileRenderer) {
+    return Boolean(
+        tileRenderer.contentType === 'TILE_CONTENT_TYPE_VIDEO' ||
+        tileRenderer.onSelectCommand?.watchEndpoint ||
+        tileRenderer.onSelectCommand?.reelWatchEndpoint
+    );
+}
+
+function brandTile(tileRenderer) {
+    if (!tileRenderer || !isVideoTile(tileRenderer)) return;
+    if (isChannelWhitelisted(getTileChannel(tileRenderer))) return;
+    const videoId = tileRenderer.contentId;
+    brand(videoId, branding => applyTileBranding(tileRenderer, videoId, branding));
+}
+
+// Shelves, search results, the watch-next pivot and continuations all render video titles
+// through tileRenderer, the watch page through videoMetadataRenderer and the player overlay
+// through playerOverlayVideoDetailsRenderer.
+function brandTitles(node, responseVideoId) {
+    if (!node || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+        for (const child of node) brandTitles(child, responseVideoId);
+        return;
+    }
+
+    for (const key in node) {
+        const child = node[key];
+        if (!child || typeof child !== 'object') continue;
+
+        if (key === 'tileRenderer') {
+            brandTile(child);
+            continue;
+        }
+
+        if (key === 'videoMetadataRenderer') {
+            const videoId = child.videoId || responseVideoId;
+            if (!isChannelWhitelisted(getVideoChannel(videoId))) {
+                brand(videoId, branding => replaceTitle(videoId, child.title, branding.title));
+            }
+        } else if (key === 'playerOverlayVideoDetailsRenderer' && responseVideoId && !isChannelWhitelisted(getVideoChannel(responseVideoId))) {
+            brand(responseVideoId, branding => replaceTitle(responseVideoId, child.title, branding.title));
+        }
+
+        brandTitles(child, responseVideoId);
+    }
+}
+
+// DeArrow Implementation. I think this is the best way to do it. (DOM manipulation would be a pain)
+
+registerResponseProcessor('deArrow', {
+    // After the shelves processor, so high quality thumbnails do not replace DeArrow ones.
+    priority: 55,
+    types: ['player', 'next', 'browse', 'continuation'],
+    process(r) {
+        if (!configRead('enableDeArrow')) return;
+
+        const videoId = findVideoId(r);
+        if (r.videoDetails?.videoId && !isChannelWhitelisted({ id: r.videoDetails.channelId, name: r.videoDetails.author })) {
+            const details = r.videoDetails;
+            brand(details.videoId, branding => {
+                const title = displayTitle(branding.title, getOriginalTitle(details.videoId) || details.title);
+                if (!title || details.title === title) return;
+                rememberOriginalTitle(details.videoId, details.title);
+                details.title = title;
+            });
+        }
+
+        brandTitles(r.contents, videoId);
+        brandTitles(r.continuationContents, videoId);
+        brandTitles(r.playerOverlays, videoId);
+    }
+});
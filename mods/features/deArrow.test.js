@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LruCache, RequestQueue, formatTitle, isShouting, pickBranding } from './deArrowCore.js';
+
+test('LruCache evicts the least recently used entry', () => {
+    const cache = new LruCache({ maxEntries: 2, ttlMs: 1000, now: () => 0 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('c'), 3);
+});
+
+test('LruCache expires entries and skips them when serializing', () => {
+    let time = 0;
+    const cache = new LruCache({ maxEntries: 10, ttlMs: 100, now: () => time });
+    cache.set('old', 1);
+    time = 50;
+    cache.set('new', 2);
+    time = 120;
+
+    assert.deepEqual(cache.serialize(), [['new', 2, 150]]);
+    assert.equal(cache.get('old'), undefined);
+
+    const restored = new LruCache({ maxEntries: 10, ttlMs: 100, now: () => time });
+    restored.load(cache.serialize().concat([['stale', 3, 10]]));
+    assert.equal(restored.get('new'), 2);
+    assert.equal(restored.get('stale'), undefined);
+});
+
+test('RequestQueue de-duplicates keys and bounds concurrency', async () => {
+    const queue = new RequestQueue(2);
+    let running = 0;
+    let maxRunning = 0;
+    let calls = 0;
+
+    const task = (value) => () => {
+        calls++;
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        return new Promise(resolve => setTimeout(() => {
+            running--;
+            resolve(value);
+        }, 5));
+    };
+
+    const first = queue.run('a', task('a'));
+    const duplicate = queue.run('a', task('duplicate'));
+    const results = await Promise.all([first, duplicate, queue.run('b', task('b')), queue.run('c', task('c'))]);
+
+    assert.deepEqual(results, ['a', 'a', 'b', 'c']);
+    assert.equal(calls, 3);
+    assert.equal(maxRunning, 2);
+});
+
+test('RequestQueue keeps going after a failed task', async () => {
+    const queue = new RequestQueue(1);
+    await assert.rejects(queue.run('a', () => Promise.reject(new Error('offline'))), /offline/);
+    assert.equal(await queue.run('a', () => 'retried'), 'retried');
+});
+
+test('pickBranding chooses the most voted title and thumbnail', () => {
+    assert.deepEqual(pickBranding({
+        titles: [{ title: 'Less', votes: 1 }, { title: 'Most', votes: 5 }],
+        thumbnails: [{ timestamp: 12.5, votes: 3 }, { original: true, votes: 1 }]
+    }), { title: 'Most', thumbnail: 12.5 });
+
+    assert.deepEqual(pickBranding({ titles: [], thumbnails: [{ original: true, votes: 2 }] }), { title: null, thumbnail: null });
+});
+
+test('formatTitle leaves titles alone when formatting is off', () => {
+    assert.equal(formatTitle('this is NOT changed', { mode: 'off' }), 'this is NOT changed');
+});
+
+test('formatTitle supports title case and sentence case', () => {
+    assert.equal(formatTitle('the best GPU for the money in 2024', { mode: 'titleCase' }), 'The Best GPU for the Money in 2024');
+    assert.equal(formatTitle('The Best Way To Learn JavaScript On An iPhone', { mode: 'sentenceCase' }), 'The best way to learn JavaScript on an iPhone');
+    assert.equal(formatTitle('(live) what happened', { mode: 'titleCase' }), '(Live) What Happened');
+});
+
+test('formatTitle calms shouted titles but keeps acronyms', () => {
+    assert.equal(formatTitle('YOU WONT BELIEVE THIS', { fixAllCaps: true }), 'You Wont Believe This');
+    assert.equal(formatTitle('NASA finally found something AMAZING', { fixAllCaps: true }), 'NASA finally found something Amazing');
+    assert.equal(isShouting('THIS IS HUGE news'), true);
+    assert.equal(isShouting('Why the GPU market is weird'), false);
+});
+
+test('formatTitle removes trailing emoji', () => {
+    assert.equal(formatTitle('I tried it 😱🔥', { removeTrailingEmoji: true }), 'I tried it');
+    assert.equal(formatTitle('Rain ☔️', { removeTrailingEmoji: true }), 'Rain');
+    assert.equal(formatTitle('🔥', { removeTrailingEmoji: true }), '🔥');
+});
@@ -0,0 +1,198 @@
+// Least recently used cache with a per-entry time to live. Map keeps insertion order, so the
+// first key is always the least recently used one.
+export class LruCache {
+    constructor({ maxEntries, ttlMs, now = Date.now }) {
+        this.maxEntries = maxEntries;
+        this.ttlMs = ttlMs;
+        this.now = now;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expires <= this.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    has(key) {
+        return this.get(key) !== undefined;
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expires: this.now() + this.ttlMs });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    // [key, value, expires] triples, oldest first, without expired entries.
+    serialize() {
+        const now = this.now();
+        const serialized = [];
+        this.entries.forEach((entry, key) => {
+            if (entry.expires > now) serialized.push([key, entry.value, entry.expires]);
+        });
+        return serialized;
+    }
+
+    load(serialized) {
+        if (!Array.isArray(serialized)) return;
+
+        const now = this.now();
+        for (const [key, value, expires] of serialized) {
+            if (typeof expires !== 'number' || expires <= now) continue;
+            this.entries.delete(key);
+            this.entries.set(key, { value, expires });
+        }
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+// Runs at most `concurrency` tasks at once. Tasks queued under a key that is already queued or
+// running share the same promise instead of starting a second request.
+export class RequestQueue {
+    constructor(concurrency) {
+        this.concurrency = concurrency;
+        this.running = 0;
+        this.waiting = [];
+        this.pending = new Map();
+    }
+
+    run(key, task) {
+        if (this.pending.has(key)) return this.pending.get(key);
+
+        const promise = new Promise((resolve, reject) => {
+            this.waiting.push({ task, resolve, reject });
+            this.next();
+        }).then(result => {
+            this.pending.delete(key);
+            return result;
+        }, error => {
+            this.pending.delete(key);
+            throw error;
+        });
+
+        this.pending.set(key, promise);
+        return promise;
+    }
+
+    next() {
+        if (this.running >= this.concurrency || !this.waiting.length) return;
+
+        const { task, resolve, reject } = this.waiting.shift();
+        this.running++;
+
+        let result;
+        try {
+            result = Promise.resolve(task());
+        } catch (error) {
+            result = Promise.reject(error);
+        }
+
+        result.then(resolve, reject).then(() => {
+            this.running--;
+            this.next();
+        });
+    }
+}
+
+const mostVoted = (items) => items.reduce((max, item) => max.votes > item.votes ? max : item);
+
+// Reduces a /api/branding response to what TizenTube shows: the most voted title and the
+// timestamp of the most voted thumbnail (none when the original thumbnail wins). Missing
+// values are null so they can be cached too.
+export function pickBranding(data) {
+    const titles = data?.titles || [];
+    const thumbnails = data?.thumbnails || [];
+
+    const title = titles.length ? mostVoted(titles).title : null;
+    const thumbnail = thumbnails.length ? mostVoted(thumbnails).timestamp ?? null : null;
+
+    return { title, thumbnail };
+}
+
+const SMALL_WORDS = ['a', 'an', 'and', 'as', 'at', 'but', 'by', 'for', 'from', 'in', 'into', 'nor', 'of', 'on', 'or', 'over', 'the', 'to', 'vs', 'via', 'with'];
+const TRAILING_EMOJI = /(?:\s|[\u2190-\u21FF\u2300-\u23FF\u2460-\u27BF\u2B00-\u2BFF\uFE0F\u200D\u20E3]|\uD83C[\uDC00-\uDFFF]|\uD83D[\uDC00-\uDFFF]|\uD83E[\uDC00-\uDFFF])+$/;
+
+const isAllCaps = word => /[A-Z]/.test(word) && word === word.toUpperCase() && word !== word.toLowerCase();
+const hasLetters = word => word.toUpperCase() !== word.toLowerCase();
+
+function capitalize(word) {
+    for (let i = 0; i < word.length; i++) {
+        if (hasLetters(word[i])) return word.slice(0, i) + word[i].toUpperCase() + word.slice(i + 1);
+    }
+    return word;
+}
+
+// A title shouts when most of its words are written in capitals.
+export function isShouting(title) {
+    const words = title.split(/\s+/).filter(word => hasLetters(word) && word.length > 1);
+    return words.length > 1 && words.filter(isAllCaps).length / words.length > 0.5;
+}
+
+/**
+ * Reformats a video title, mirroring the title formatting options of the DeArrow extension.
+ * @param {string} title
+ * @param {object} options
+ * @param {'off'|'titleCase'|'sentenceCase'} [options.mode='off']
+ * @param {boolean} [options.fixAllCaps] Lower shouted words, keeping short acronyms when the title is not shouting.
+ * @param {boolean} [options.removeTrailingEmoji]
+ */
+export function formatTitle(title, options = {}) {
+    if (typeof title !== 'string') return title;
+
+    const mode = options.mode || 'off';
+    let formatted = options.removeTrailingEmoji ? title.replace(TRAILING_EMOJI, '') : title;
+    if (!formatted) return title;
+    if (mode === 'off' && !options.fixAllCaps) return formatted;
+
+    const shouting = isShouting(formatted);
+    let wordIndex = 0;
+    const parts = formatted.split(/(\s+)/);
+    const lastWordIndex = parts.filter(part => part.trim()).length - 1;
+
+    formatted = parts.map(part => {
+        if (!part.trim()) return part;
+        const index = wordIndex++;
+        let word = part;
+
+        // Keep acronyms (NASA, GPU) and deliberate mixed case (iPhone, YouTube) unless the title shouts.
+        const isAcronym = isAllCaps(word) && !shouting && word.replace(/[^A-Za-z]/g, '').length <= 4;
+        const hasMixedCase = !isAllCaps(word) && /[A-Z]/.test(word.slice(1));
+        if (isAcronym || hasMixedCase) return word;
+
+        if (isAllCaps(word) && (options.fixAllCaps || mode !== 'off')) {
+            word = capitalize(word.toLowerCase());
+        }
+
+        if (mode === 'sentenceCase') {
+            return index === 0 ? capitalize(word) : word.toLowerCase();
+        }
+
+        if (mode === 'titleCase') {
+            const isSmallWord = SMALL_WORDS.includes(word.toLowerCase());
+            return isSmallWord && index !== 0 && index !== lastWordIndex ? word.toLowerCase() : capitalize(word);
+        }
+
+        return word;
+    }).join('');
+
+    return formatted;
+}
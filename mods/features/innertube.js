@@ -0,0 +1,39 @@
+import { withTimeout } from './sponsorblockCore.js';
+
+// Requests to the InnerTube API outside of YouTube's own request layer, sent as the client the
+// app identifies itself as. Only public data can be read this way.
+
+const API_URL = 'https://www.youtube.com/youtubei/v1';
+const REQUEST_TIMEOUT_MS = 10000;
+
+function getContext() {
+    const config = window.yt?.config_;
+    if (config?.INNERTUBE_CONTEXT) return config.INNERTUBE_CONTEXT;
+    if (!config?.INNERTUBE_CLIENT_NAME || !config.INNERTUBE_CLIENT_VERSION) {
+        throw new Error('InnerTube client config is not available');
+    }
+    return {
+        client: {
+            clientName: config.INNERTUBE_CLIENT_NAME,
+            clientVersion: config.INNERTUBE_CLIENT_VERSION,
+            hl: config.HL,
+            gl: config.GL
+        }
+    };
+}
+
+/**
+ * POST /browse, for a browseId or a continuation token.
+ * @param {{ browseId: string }|{ continuation: string }} request
+ * @returns {Promise<object>}
+ */
+export async function innertubeBrowse(request) {
+    const key = window.yt?.config_?.INNERTUBE_API_KEY;
+    const resp = await withTimeout(fetch(`${API_URL}/browse?prettyPrint=false${key ? `&key=${key}` : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(Object.assign({ context: getContext() }, request))
+    }), REQUEST_TIMEOUT_MS);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    return resp.json();
+}
@@ -0,0 +1,125 @@
+import { t } from 'i18next';
+import { showToast, MenuServiceItemRenderer } from '../ui/ytUI.js';
+import { LruCache } from './deArrowCore.js';
+import { innertubeBrowse } from './innertube.js';
+import { addToQueue } from './videoQueuing.js';
+import { collectionBrowseId, collectVideoTiles, compactQueueTile, findContinuationToken, newQueueVideos } from './videoQueuingCore.js';
+
+// Long-press actions adding every video of a playlist, channel or shelf to the queue. Lists
+// longer than what is loaded are paged through with browse continuations.
+
+const MAX_VIDEOS = 200;
+const MAX_PAGES = 20;
+
+// Shelves whose tiles offer to queue the whole shelf, by the key passed to ADD_SHELF_TO_QUEUE.
+// Only their title, compact tiles and continuation token are kept, not the response objects.
+const shelves = new LruCache({ maxEntries: 100, ttlMs: 60 * 60 * 1000 });
+let nextShelfKey = 0;
+let busy = false;
+
+const readText = text => text?.simpleText ?? text?.runs?.map(run => run.text).join('') ?? '';
+
+function queueMenuItem(text, action, parameters) {
+    return MenuServiceItemRenderer(text, {
+        clickTrackingParams: null,
+        playlistEditEndpoint: {
+            customAction: {
+                action,
+                parameters
+            }
+        }
+    });
+}
+
+// Adds "Add All to Queue" to the long-press menu of playlist and channel tiles.
+export function addCollectionLongPress(items) {
+    for (const item of items) {
+        const menuItems = item.tileRenderer?.onLongPressCommand?.showMenuCommand?.menu?.menuRenderer?.items;
+        const browseId = collectionBrowseId(item.tileRenderer);
+        if (!menuItems || !browseId) continue;
+        menuItems.push(queueMenuItem(t('videoQueue.collections.addAll'), 'ADD_COLLECTION_TO_QUEUE', {
+            browseId,
+            title: readText(item.tileRenderer.metadata?.tileMetadataRenderer?.title)
+        }));
+    }
+}
+
+// Adds "Add Shelf to Queue" to the long-press menu of every video tile of a shelf. Shelf
+// headers cannot be focused, so their tiles carry the action.
+export function addShelfLongPress(shelfRenderer) {
+    const list = shelfRenderer.content?.horizontalListRenderer;
+    const tiles = collectVideoTiles(list?.items);
+    if (tiles.length < 2) return;
+
+    const key = String(nextShelfKey++);
+    shelves.set(key, {
+        title: readText(shelfRenderer.shelfHeaderRenderer?.title || shelfRenderer.headerRenderer?.shelfHeaderRenderer?.title),
+        tiles: tiles.map(compactQueueTile),
+        continuation: findContinuationToken(list.continuations)
+    });
+
+    // One menu item shared by the tiles of the shelf.
+    const menuItem = queueMenuItem(t('videoQueue.collections.addShelf'), 'ADD_SHELF_TO_QUEUE', key);
+    for (const tile of tiles) {
+        tile.tileRenderer.onLongPressCommand?.showMenuCommand?.menu?.menuRenderer?.items?.push(menuItem);
+    }
+}
+
+/**
+ * Appends the videos of a list to the queue, following its continuations.
+ * @param {string} title Shown in the toasts.
+ * @param {function(): Promise<{ tiles: object[], continuation: string|null }>} loadFirstPage
+ */
+async function enqueueList(title, loadFirstPage) {
+    if (busy) {
+        showToast('TizenTube', t('videoQueue.collections.busy'));
+        return;
+    }
+    busy = true;
+    showToast('TizenTube', t('videoQueue.collections.loading', { title }));
+
+    // Whatever was loaded before a failing page is still queued.
+    let added = [];
+    try {
+        const firstPage = await loadFirstPage();
+        let continuation = firstPage.continuation;
+        added = newQueueVideos(window.queuedVideos.videos, firstPage.tiles, MAX_VIDEOS);
+        for (let page = 0; continuation && page < MAX_PAGES && added.length < MAX_VIDEOS; page++) {
+            const response = await innertubeBrowse({ continuation });
+            added = added.concat(newQueueVideos(window.queuedVideos.videos.concat(added), collectVideoTiles(response), MAX_VIDEOS - added.length));
+            continuation = findContinuationToken(response);
+        }
+    } catch (err) {
+        console.warn('[VideoQueue] Loading videos failed:', err);
+        if (!added.length) {
+            showToast('TizenTube', t('videoQueue.collections.failed', { title }));
+            return;
+        }
+    } finally {
+        busy = false;
+    }
+
+    if (!added.length) {
+        showToast('TizenTube', t('videoQueue.collections.empty', { title }));
+        return;
+    }
+    addToQueue(...added.map(compactQueueTile));
+    showToast('TizenTube', t('videoQueue.collections.added', { title, count: added.length }));
+}
+
+export function addCollectionToQueue({ browseId, title }) {
+    return enqueueList(title, async () => {
+        const response = await innertubeBrowse({ browseId });
+        return { tiles: collectVideoTiles(response), continuation: findContinuationToken(response) };
+    });
+}
+
+export function addShelfToQueue(key) {
+    const shelf = shelves.get(key);
+    if (!shelf) {
+        showToast('TizenTube', t('videoQueue.collections.expired'));
+        return;
+    }
+
+    return enqueueList(shelf.title, async () => ({ tiles: shelf.tiles, continuation: shelf.continuation }));
+}
@@ -0,0 +1,48 @@
+import { configRead, configWrite, configChangeEmitter } from '../config.js';
+import { applyRules, compileRules, parseRule } from './responseFilterCore.js';
+import builtinRules from './responseFilterRules.json';
+
+const DISABLED_RULES_KEY = 'disabledResponseFilterRules';
+const CUSTOM_RULES_KEY = 'customResponseFilterRules';
+
+let rules = [];
+
+function loadRules() {
+    const disabledRules = configRead(DISABLED_RULES_KEY);
+    const customRules = configRead(CUSTOM_RULES_KEY).map((rule, index) => ({
+        id: `custom-${index}`,
+        rule
+    }));
+
+    rules = compileRules(
+        builtinRules
+            .filter(entry => !disabledRules.includes(entry.id))
+            .concat(customRules)
+    );
+}
+
+export function applyResponseFilters(response) {
+    return applyRules(response, rules, configRead);
+}
+
+// Throws with a readable message when the rule does not parse, so the caller can show it.
+export function addCustomResponseFilterRule(text) {
+    const rule = String(text || '').trim().replace(/\s+/g, ' ');
+    parseRule(rule);
+
+    const customRules = configRead(CUSTOM_RULES_KEY);
+    if (customRules.includes(rule)) return false;
+
+    configWrite(CUSTOM_RULES_KEY, customRules.concat(rule));
+    return true;
+}
+
+export { builtinRules };
+
+configChangeEmitter.addEventListener('configChange', (event) => {
+    if (event.detail?.key === DISABLED_RULES_KEY || event.detail?.key === CUSTOM_RULES_KEY) {
+        loadRules();
+    }
+});
+
+loadRules();
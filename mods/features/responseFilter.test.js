@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { applyRule, applyRules, compileRules, findMatches, parseRule } from './responseFilterCore.js';
+
+const builtinRules = JSON.parse(readFileSync(new URL('./responseFilterRules.json', import.meta.url), 'utf8'));
+const enabled = () => true;
+
+test('parseRule understands clear and drop rules', () => {
+    assert.deepEqual(parseRule('clear adPlacements'), { action: 'clear', path: ['adPlacements'] });
+    assert.deepEqual(parseRule('drop *.adSlotRenderer under sectionListRenderer.contents'), {
+        action: 'drop',
+        selector: { path: ['adSlotRenderer'] },
+        path: ['sectionListRenderer', 'contents']
+    });
+    assert.deepEqual(parseRule('drop *.ad.isAd=true under entries').selector, { path: ['ad', 'isAd'], value: true });
+});
+
+test('parseRule rejects malformed rules', () => {
+    assert.throws(() => parseRule('remove adPlacements'), /Unknown action/);
+    assert.throws(() => parseRule('drop adSlotRenderer under contents'), /must start with/);
+    assert.throws(() => parseRule('drop *.adSlotRenderer contents'), /under/);
+    assert.throws(() => parseRule('clear a..b'), /Invalid path/);
+});
+
+test('every built-in rule compiles', () => {
+    assert.equal(compileRules(builtinRules).length, builtinRules.length);
+});
+
+test('clear empties values according to their type', () => {
+    const response = { adPlacements: [{}], playerAds: true, endscreen: {} };
+    const rules = compileRules([
+        { id: 'a', rule: 'clear adPlacements' },
+        { id: 'b', rule: 'clear playerAds' },
+        { id: 'c', rule: 'clear endscreen' }
+    ]);
+
+    assert.equal(applyRules(response, rules, enabled), 3);
+    assert.deepEqual(response, { adPlacements: [], playerAds: false, endscreen: null });
+});
+
+test('drop walks arrays implicitly and supports deep wildcards', () => {
+    const response = {
+        contents: {
+            sectionListRenderer: {
+                contents: [
+                    { adSlotRenderer: {} },
+                    { shelfRenderer: { content: { horizontalListRenderer: { items: [{ adSlotRenderer: {} }, { tileRenderer: {} }] } } } }
+                ]
+            }
+        }
+    };
+    const rules = compileRules([
+        { id: 'top', rule: 'drop *.adSlotRenderer under contents.sectionListRenderer.contents' },
+        { id: 'deep', rule: 'drop *.adSlotRenderer under contents.**.horizontalListRenderer.items' }
+    ]);
+
+    assert.equal(applyRules(response, rules, enabled), 2);
+    assert.deepEqual(response.contents.sectionListRenderer.contents, [
+        { shelfRenderer: { content: { horizontalListRenderer: { items: [{ tileRenderer: {} }] } } } }
+    ]);
+});
+
+test('deep wildcards visit each matching node once', () => {
+    const response = () => ({ contents: { shelves: [{ items: [{ adSlotRenderer: {} }, { tileRenderer: {} }] }] } });
+    const [drop, clear] = compileRules([
+        { id: 'drop', rule: 'drop *.adSlotRenderer under contents.**.items' },
+        { id: 'clear', rule: 'clear contents.**.items' }
+    ]);
+
+    assert.equal(findMatches(response(), drop.path).length, 1);
+    assert.equal(applyRule(response(), drop), 1);
+    assert.equal(applyRule(response(), clear), 1);
+});
+
+test('drop compares selector values', () => {
+    const response = {
+        entries: [
+            { command: { reelWatchEndpoint: { adClientParams: { isAd: true } } } },
+            { command: { reelWatchEndpoint: { adClientParams: { isAd: false } } } }
+        ]
+    };
+    const rules = compileRules([{ id: 'shorts', rule: 'drop *.command.reelWatchEndpoint.adClientParams.isAd=true under entries' }]);
+
+    applyRules(response, rules, enabled);
+    assert.equal(response.entries.length, 1);
+    assert.equal(response.entries[0].command.reelWatchEndpoint.adClientParams.isAd, false);
+});
+
+test('when and unless gate rules on config values', () => {
+    const config = { enableAdBlock: false, enableYouThereRenderer: false };
+    const response = { adSlots: [{}], messages: [{ youThereRenderer: {} }] };
+    const rules = compileRules([
+        { id: 'ads', rule: 'clear adSlots', when: 'enableAdBlock' },
+        { id: 'there', rule: 'drop *.youThereRenderer under messages', unless: 'enableYouThereRenderer' }
+    ]);
+
+    applyRules(response, rules, key => config[key]);
+    assert.equal(response.adSlots.length, 1);
+    assert.equal(response.messages.length, 0);
+});
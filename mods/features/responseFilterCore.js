@@ -0,0 +1,184 @@
+// Small rule language for stripping parts of InnerTube responses.
+//
+//   clear <path>                    empties the value at <path> ([] for arrays, false for booleans, null otherwise)
+//   drop <selector> under <path>    removes every item of the array at <path> that matches <selector>
+//
+// Paths are dot separated and anchored at the response root. `*` matches any single key,
+// `**` matches any number of levels and arrays are walked implicitly. A selector starts with
+// `*` (the array item) followed by a path, optionally compared with `=value`, for example
+// `*.command.reelWatchEndpoint.adClientParams.isAd=true`.
+
+const ACTIONS = ['clear', 'drop'];
+
+// Response types (see responsePipeline.js) the rules are applied to. Shorts come as 'reel'.
+export const RESPONSE_FILTER_TYPES = ['browse', 'next', 'continuation', 'player', 'reel'];
+
+function parsePath(text) {
+    const segments = text.split('.');
+    if (!text || segments.some(segment => !segment)) {
+        throw new Error(`Invalid path "${text}"`);
+    }
+    return segments;
+}
+
+function parseValue(text) {
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'null') return null;
+    if (text !== '' && !isNaN(Number(text))) return Number(text);
+    return text.replace(/^(["'])(.*)\1$/, '$2');
+}
+
+function parseSelector(text) {
+    const [path, ...value] = text.split('=');
+    const segments = parsePath(path);
+    if (segments[0] !== '*') {
+        throw new Error(`Selector "${text}" must start with "*"`);
+    }
+
+    const selector = { path: segments.slice(1) };
+    if (value.length) selector.value = parseValue(value.join('='));
+    return selector;
+}
+
+export function parseRule(text) {
+    const parts = String(text || '').trim().split(/\s+/);
+    const action = parts[0];
+
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`Unknown action "${action}", expected one of ${ACTIONS.join(', ')}`);
+    }
+
+    if (action === 'clear') {
+        if (parts.length !== 2) throw new Error('Expected "clear <path>"');
+        return { action, path: parsePath(parts[1]) };
+    }
+
+    if (parts.length !== 4 || parts[2] !== 'under') {
+        throw new Error('Expected "drop <selector> under <path>"');
+    }
+    return { action, selector: parseSelector(parts[1]), path: parsePath(parts[3]) };
+}
+
+// `seen` maps each object to the path indexes it was already visited at. `**` reaches the same
+// node both through its own recursion and through the implicit array walk, which would
+// otherwise match it twice.
+function visit(node, segments, index, parent, key, matches, seen) {
+    if (node === undefined || node === null) return;
+
+    if (seen && typeof node === 'object') {
+        const indexes = seen.get(node) || [];
+        if (indexes.includes(index)) return;
+        indexes.push(index);
+        seen.set(node, indexes);
+    }
+
+    if (index === segments.length) {
+        matches.push({ parent, key, value: node });
+        return;
+    }
+
+    if (typeof node !== 'object') return;
+
+    const segment = segments[index];
+    if (segment === '**') {
+        visit(node, segments, index + 1, parent, key, matches, seen);
+        for (const childKey of Object.keys(node)) {
+            visit(node[childKey], segments, index, node, childKey, matches, seen);
+        }
+        return;
+    }
+
+    if (segment === '*') {
+        for (const childKey of Object.keys(node)) {
+            visit(node[childKey], segments, index + 1, node, childKey, matches, seen);
+        }
+        return;
+    }
+
+    if (Array.isArray(node) && !/^\d+$/.test(segment)) {
+        for (let i = 0; i < node.length; i++) {
+            visit(node[i], segments, index, node, i, matches, seen);
+        }
+        return;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(node, segment)) {
+        visit(node[segment], segments, index + 1, node, segment, matches, seen);
+    }
+}
+
+export function findMatches(root, segments) {
+    const matches = [];
+    visit(root, segments, 0, null, null, matches, segments.includes('**') ? new Map() : null);
+    return matches;
+}
+
+export function matchesSelector(item, selector) {
+    return findMatches(item, selector.path).some(match =>
+        'value' in selector ? match.value === selector.value : Boolean(match.value)
+    );
+}
+
+function emptyValue(value) {
+    if (Array.isArray(value)) return [];
+    if (typeof value === 'boolean') return false;
+    return null;
+}
+
+// Applies one parsed rule in place and returns how many values were cleared or items dropped.
+export function applyRule(response, rule) {
+    let changes = 0;
+
+    for (const match of findMatches(response, rule.path)) {
+        if (rule.action === 'clear') {
+            if (!match.parent) continue;
+            match.parent[match.key] = emptyValue(match.value);
+            changes++;
+            continue;
+        }
+
+        if (!Array.isArray(match.value)) continue;
+        for (let i = match.value.length - 1; i >= 0; i--) {
+            if (matchesSelector(match.value[i], rule.selector)) {
+                match.value.splice(i, 1);
+                changes++;
+            }
+        }
+    }
+
+    return changes;
+}
+
+// Turns rule entries ({ id, rule, when?, unless? }) into parsed rules, skipping invalid ones.
+export function compileRules(entries) {
+    const compiled = [];
+
+    for (const entry of entries) {
+        try {
+            compiled.push(Object.assign({}, entry, parseRule(entry.rule)));
+        } catch (error) {
+            console.warn(`[ResponseFilter] Ignoring rule ${entry.id}:`, error.message);
+        }
+    }
+
+    return compiled;
+}
+
+// `when` and `unless` name config keys that gate a rule, e.g. `{ when: 'enableAdBlock' }`.
+export function isRuleActive(rule, readConfig) {
+    if (rule.when && !readConfig(rule.when)) return false;
+    if (rule.unless && readConfig(rule.unless)) return false;
+    return true;
+}
+
+export function applyRules(response, rules, readConfig) {
+    if (!response || typeof response !== 'object') return 0;
+
+    let changes = 0;
+    for (const rule of rules) {
+        if (!isRuleActive(rule, readConfig)) continue;
+        changes += applyRule(response, rule);
+    }
+    return changes;
+}
@@ -1,6 +1,7 @@
 import { configRead } from '../config.js';
 import { t } from 'i18next';
 import { findVideoId, injectDislikes } from './returnYoutubeDislikeCore.js';
+import { registerResponseProcessor } from '../responsePipeline.js';
 
 const dislikeCache = new Map();
 const pendingRequests = new Map();
@@ -68,50 +69,32 @@ function fetchDislikes(videoId) {
     pendingRequests.set(videoId, request);
 }
 
-// Initial check if we are already on a video page
 function processParsedResponse(response) {
-    if (!configRead('enableReturnYoutubeDislike')) return response;
+    if (!configRead('enableReturnYoutubeDislike')) return;
 
     const responseVideoId = findVideoId(response);
     if (responseVideoId) selectVideo(responseVideoId);
 
     const videoId = responseVideoId || currentVideoId;
-    if (!videoId) return response;
+    if (!videoId) return;
 
     rememberInjectableResponse(videoId, response);
     injectCachedDislikes(videoId);
-    return response;
 }
 
-const origParse = JSON.parse;
-const patchedParse = function () {
-    return processParsedResponse(origParse.apply(this, arguments));
-};
-
-function installParserHooks() {
-    window.JSON.parse = patchedParse;
-
-    if (window._yttv) {
-        for (const key in window._yttv) {
-            if (window._yttv[key] && window._yttv[key].JSON && window._yttv[key].JSON.parse !== patchedParse) {
-                window._yttv[key].JSON.parse = patchedParse;
-            }
-        }
-    }
-}
+registerResponseProcessor('returnYoutubeDislike', {
+    priority: 90,
+    types: ['player', 'next'],
+    process: processParsedResponse
+});
 
 function handleNavigation() {
     if (!configRead('enableReturnYoutubeDislike')) return;
     selectVideo(videoIdFromLocation());
-    installParserHooks();
 }
 
 selectVideo(videoIdFromLocation());
-installParserHooks();
 
 ['hashchange', 'popstate', 'yt-navigate-finish', 'yt-page-data-updated'].forEach(eventName => {
     window.addEventListener(eventName, handleNavigation, false);
 });
-
-// YouTube TV may replace its JSON namespace during an in-player navigation.
-setInterval(installParserHooks, 1000);
@@ -0,0 +1,79 @@
+import { configRead, configWrite, configChangeEmitter } from '../config.js';
+import { applyShelfRules, dedupeItems, dedupeShelves, getShelfTitle, parseShelfRule } from './shelfManagerCore.js';
+
+const SHELF_RULES_KEY = 'shelfRules';
+const MAX_SEEN_TITLES = 50;
+
+let rules = [];
+// Content ids shown per list of shelves, so continuations are de-duplicated against it too:
+// 'page' for the page being browsed, 'pivot' for the watch page suggestions and 'tab' for
+// secondary-nav tabs that are not on screen.
+const seenContentIds = new Map();
+// Shelf titles seen this session, offered in the settings so shelves can be hidden or pinned
+// without typing a rule.
+const seenShelfTitles = [];
+
+function loadRules() {
+    rules = [];
+    for (const text of configRead(SHELF_RULES_KEY)) {
+        try {
+            rules.push(parseShelfRule(text));
+        } catch (err) {
+            console.warn(`[ShelfManager] Skipping rule "${text}":`, err.message);
+        }
+    }
+}
+
+function rememberTitles(shelves) {
+    for (const section of shelves) {
+        const title = getShelfTitle(section);
+        if (!title || seenShelfTitles.includes(title)) continue;
+        seenShelfTitles.push(title);
+        if (seenShelfTitles.length > MAX_SEEN_TITLES) seenShelfTitles.shift();
+    }
+}
+
+/**
+ * Applies the shelf rules and de-duplication to section list contents, in place.
+ * @param {object[]} shelves
+ * @param {boolean} newPage False for continuations of the page that was processed last.
+ * @param {string} [list] Which list the shelves belong to, see seenContentIds.
+ */
+export function manageShelves(shelves, newPage, list = 'page') {
+    if (newPage || !seenContentIds.has(list)) seenContentIds.set(list, new Set());
+    rememberTitles(shelves);
+
+    let managed = applyShelfRules(shelves, rules);
+    if (configRead('enableShelfDeduplication')) managed = dedupeShelves(managed, seenContentIds.get(list));
+
+    shelves.splice(0, shelves.length, ...managed);
+}
+
+// Items appended to a single shelf when scrolling it sideways.
+export function dedupeContinuationItems(items) {
+    if (!configRead('enableShelfDeduplication')) return items;
+    if (!seenContentIds.has('page')) seenContentIds.set('page', new Set());
+    return dedupeItems(items, seenContentIds.get('page'));
+}
+
+export function getSeenShelfTitles() {
+    return seenShelfTitles.slice();
+}
+
+// Throws with a readable message when the rule does not parse, so the caller can show it.
+export function addShelfRule(text) {
+    const rule = String(text || '').trim().replace(/\s+/g, ' ');
+    parseShelfRule(rule);
+
+    const shelfRules = configRead(SHELF_RULES_KEY);
+    if (shelfRules.includes(rule)) return false;
+
+    configWrite(SHELF_RULES_KEY, shelfRules.concat(rule));
+    return true;
+}
+
+configChangeEmitter.addEventListener('configChange', (event) => {
+    if (event.detail?.key === SHELF_RULES_KEY) loadRules();
+});
+
+loadRules();
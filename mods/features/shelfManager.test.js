@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyShelfRules, dedupeShelves, getShelfTitle, parseShelfRule, titleRule } from './shelfManagerCore.js';
+
+function shelf(title, contentIds, type = 'TVHTML5_SHELF_RENDERER_TYPE_GRID') {
+    return {
+        shelfRenderer: {
+            shelfHeaderRenderer: { title: { simpleText: title } },
+            tvhtml5ShelfRendererType: type,
+            content: {
+                horizontalListRenderer: {
+                    items: contentIds.map(contentId => ({ tileRenderer: { contentId } }))
+                }
+            }
+        }
+    };
+}
+
+const titles = shelves => shelves.map(getShelfTitle);
+
+test('parseShelfRule reads hide and pin rules by title or type', () => {
+    assert.equal(parseShelfRule('hide: breaking news').action, 'hide');
+    assert.equal(parseShelfRule('PIN: ^Subscriptions$').regex.test('subscriptions'), true);
+    assert.equal(parseShelfRule('hide type: TVHTML5_SHELF_RENDERER_TYPE_SHORTS').type, 'tvhtml5_shelf_renderer_type_shorts');
+    assert.throws(() => parseShelfRule('remove: news'), /expected/);
+});
+
+test('applyShelfRules hides shelves and pins them in rule order', () => {
+    const shelves = [
+        shelf('Recommended', ['a']),
+        shelf('Breaking news', ['b']),
+        shelf('Trending shorts', ['c'], 'TVHTML5_SHELF_RENDERER_TYPE_SHORTS'),
+        shelf('Music', ['d']),
+        shelf('Subscriptions', ['e'])
+    ];
+    const rules = [
+        'hide: breaking',
+        'hide type: TVHTML5_SHELF_RENDERER_TYPE_SHORTS',
+        titleRule('pin', 'Subscriptions'),
+        'pin: music'
+    ].map(parseShelfRule);
+
+    assert.deepEqual(titles(applyShelfRules(shelves, rules)), ['Subscriptions', 'Music', 'Recommended']);
+    assert.equal(applyShelfRules(shelves, []), shelves);
+});
+
+test('titleRule escapes the shelf title', () => {
+    assert.equal(parseShelfRule(titleRule('hide', 'Mixes (for you)')).regex.test('Mixes (for you)'), true);
+    assert.equal(parseShelfRule(titleRule('hide', 'Mix')).regex.test('Mixes'), false);
+});
+
+test('dedupeShelves removes repeated videos and empty shelves', () => {
+    const seen = new Set();
+    const shelves = dedupeShelves([shelf('One', ['a', 'b']), shelf('Two', ['b']), shelf('Three', ['b', 'c'])], seen);
+
+    assert.deepEqual(titles(shelves), ['One', 'Three']);
+    assert.deepEqual(shelves[1].shelfRenderer.content.horizontalListRenderer.items.map(item => item.tileRenderer.contentId), ['c']);
+    assert.deepEqual(titles(dedupeShelves([shelf('Four', ['a'])], seen)), []);
+});
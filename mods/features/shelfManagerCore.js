@@ -0,0 +1,106 @@
+import { compileTitlePattern } from './titleFilterCore.js';
+
+const RULE_PATTERN = /^(hide|pin)(\s+type)?\s*:\s*(.+)$/i;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parses a shelf rule. Rules look like `hide: breaking news` or `pin: ^Subscriptions$`,
+ * matching the shelf title as a case-insensitive regular expression, or
+ * `hide type: TVHTML5_SHELF_RENDERER_TYPE_SHORTS`, matching the shelf renderer type.
+ * @param {string} text
+ * @returns {{ text: string, action: 'hide'|'pin', type: string|null, regex: RegExp|null }}
+ */
+export function parseShelfRule(text) {
+    const match = RULE_PATTERN.exec(String(text || '').trim());
+    if (!match) throw new Error('expected "hide: <title>", "pin: <title>" or "hide type: <renderer type>"');
+
+    const [, action, byType, pattern] = match;
+    return {
+        text,
+        action: action.toLowerCase(),
+        type: byType ? pattern.trim().toLowerCase() : null,
+        regex: byType ? null : compileTitlePattern(pattern.trim())
+    };
+}
+
+// Rule that hides or pins exactly the shelf with this title.
+export function titleRule(action, title) {
+    return `${action}: ^${escapeRegExp(title)}$`;
+}
+
+function readText(text) {
+    if (!text) return null;
+    if (text.simpleText !== undefined) return text.simpleText;
+    return text.runs ? text.runs.map(run => run.text).join('') : null;
+}
+
+export function getShelfTitle(section) {
+    const shelf = section?.shelfRenderer;
+    if (!shelf) return null;
+    return readText(shelf.shelfHeaderRenderer?.title || shelf.headerRenderer?.shelfHeaderRenderer?.title);
+}
+
+// The tvhtml5ShelfRendererType of shelves, the renderer name (gridRenderer, ...) otherwise.
+function getShelfTypes(section) {
+    const types = Object.keys(section || {}).map(key => key.toLowerCase());
+    const shelfType = section?.shelfRenderer?.tvhtml5ShelfRendererType;
+    if (shelfType) types.push(shelfType.toLowerCase());
+    return types;
+}
+
+function matchesRule(section, rule) {
+    if (rule.type) return getShelfTypes(section).includes(rule.type);
+    const title = getShelfTitle(section);
+    return title !== null && rule.regex.test(title);
+}
+
+/**
+ * Drops hidden shelves and moves pinned ones to the top, in the order of their rules.
+ * @param {object[]} shelves Section list contents.
+ * @param {ReturnType<typeof parseShelfRule>[]} rules
+ * @returns {object[]}
+ */
+export function applyShelfRules(shelves, rules) {
+    if (!rules.length) return shelves;
+
+    const hideRules = rules.filter(rule => rule.action === 'hide');
+    const pinRules = rules.filter(rule => rule.action === 'pin');
+    const visible = shelves.filter(section => !hideRules.some(rule => matchesRule(section, rule)));
+
+    const pinned = [];
+    for (const rule of pinRules) {
+        for (const section of visible) {
+            if (!pinned.includes(section) && matchesRule(section, rule)) pinned.push(section);
+        }
+    }
+
+    return pinned.concat(visible.filter(section => !pinned.includes(section)));
+}
+
+/**
+ * Removes tiles whose contentId was already shown, remembering new ones in `seen`.
+ * @param {object[]} items Horizontal list items.
+ * @param {Set<string>} seen
+ * @returns {object[]}
+ */
+export function dedupeItems(items, seen) {
+    return items.filter(item => {
+        const contentId = item.tileRenderer?.contentId;
+        if (!contentId) return true;
+        if (seen.has(contentId)) return false;
+        seen.add(contentId);
+        return true;
+    });
+}
+
+// De-duplicates the tiles of every shelf and drops shelves left without tiles.
+export function dedupeShelves(shelves, seen) {
+    return shelves.filter(section => {
+        const list = section.shelfRenderer?.content?.horizontalListRenderer;
+        if (!list?.items?.length) return true;
+
+        list.items = dedupeItems(list.items, seen);
+        return list.items.length > 0;
+    });
+}
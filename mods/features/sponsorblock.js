@@ -2,9 +2,16 @@ import sha256 from '../tiny-sha256.js';
 import { configRead } from '../config.js';
 import { showToast } from '../ui/ytUI.js';
 import { t } from 'i18next';
+import { LruCache } from './deArrowCore.js';
+import resolveCommand from '../resolveCommand.js';
+import { chapterMarkerEntity } from '../ui/chapters.js';
+import { forgetSkip, recordSkip } from './sponsorblockStats.js';
+import { getVideoChannel } from './videoChannel.js';
+import { isChannelWhitelisted } from './channelWhitelist.js';
+import { apiBaseUrl, buildChapters, findMuteSegmentAt, getActionType, getFullVideoLabel, getSegmentMode, getSegmentStyle, isFresh, nextSkipNoticeDelay, retryWithBackoff, skipNoticeCount, withTimeout } from './sponsorblockCore.js';
 
 // Copied from https://github.com/ajayyy/SponsorBlock/blob/da1a535de784540ee10166a75a3eb8537073838c/src/config.ts#L113-L134
-const barTypes = {
+export const barTypes = {
   sponsor: {
     color: '#00d400',
     opacity: '0.7',
@@ -52,7 +59,8 @@ const barTypes = {
   }
 };
 
-const sponsorblockAPI = 'https://sponsor.ajay.app/api';
+// The official server unless a mirror or self-hosted instance is set.
+export const getSponsorBlockAPI = () => apiBaseUrl(configRead('sponsorBlockServer'));
 const SPONSORBLOCK_DEBUG = false;
 const sbLog = (...args) => {
   if (SPONSORBLOCK_DEBUG) {
@@ -60,12 +68,129 @@ const sbLog = (...args) => {
   }
 };
 
+const categories = [
+  'sponsor',
+  'intro',
+  'outro',
+  'interaction',
+  'selfpromo',
+  'preview',
+  'filler',
+  'music_offtopic',
+  'poi_highlight',
+  'exclusive_access',
+  'chapter'
+];
+
+const actionTypes = ['skip', 'mute', 'full', 'poi', 'chapter'];
+
+// Action types drawn on the progress bar. Full-video labels get a badge, chapters become
+// player chapters.
+const BAR_ACTION_TYPES = ['skip', 'mute', 'poi'];
+
+// Segments are cached per video. Entries are refreshed after SEGMENTS_FRESH_MS, but kept for
+// SEGMENTS_CACHE_TTL_MS so videos keep skipping while the API is unreachable.
+const SEGMENTS_STORAGE_KEY = 'tizentube_sponsorblock_cache';
+const SEGMENTS_MAX_ENTRIES = 500;
+const SEGMENTS_FRESH_MS = 6 * 60 * 60 * 1000;
+const SEGMENTS_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 5000;
+const REQUEST_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 1000;
+const PERSIST_DELAY_MS = 2000;
+
+const segmentCache = new LruCache({ maxEntries: SEGMENTS_MAX_ENTRIES, ttlMs: SEGMENTS_CACHE_TTL_MS });
+let persistTimeout = null;
+
+try {
+  segmentCache.load(JSON.parse(window.localStorage.getItem(SEGMENTS_STORAGE_KEY) || '[]'));
+} catch (err) {
+  console.warn('[SponsorBlock] Segment cache read failed:', err);
+}
+
+function persistSegmentCache() {
+  if (persistTimeout) return;
+
+  persistTimeout = setTimeout(() => {
+    persistTimeout = null;
+    try {
+      window.localStorage.setItem(SEGMENTS_STORAGE_KEY, JSON.stringify(segmentCache.serialize()));
+    } catch (err) {
+      console.warn('[SponsorBlock] Segment cache write failed:', err);
+    }
+  }, PERSIST_DELAY_MS);
+}
+
+async function fetchSegments(videoID) {
+  const videoHash = sha256(videoID).substring(0, 4);
+  const url = `${getSponsorBlockAPI()}/skipSegments/${videoHash}?categories=${encodeURIComponent(
+    JSON.stringify(categories)
+  )}&actionTypes=${encodeURIComponent(JSON.stringify(actionTypes))}`;
+
+  const results = await retryWithBackoff(async (attempt) => {
+    if (attempt > 0) sbLog(videoID, 'Retrying segment request, attempt', attempt);
+    const resp = await withTimeout(fetch(url), REQUEST_TIMEOUT_MS);
+    // The API answers 404 when no video with this hash prefix has segments.
+    if (resp.status === 404) return [];
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    return resp.json();
+  }, { retries: REQUEST_RETRIES, baseDelayMs: RETRY_BASE_DELAY_MS });
+
+  const result = results.find((v) => v.videoID === videoID);
+  return result && result.segments ? result.segments : [];
+}
+
+const STATUS_TIMEOUT_MS = 5000;
+
+// Checks that the configured server answers, from the settings.
+export async function testSponsorBlockServer() {
+  const api = getSponsorBlockAPI();
+  const started = Date.now();
+  try {
+    const resp = await withTimeout(fetch(`${api}/status`), STATUS_TIMEOUT_MS);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    showToast('SponsorBlock', t('sponsorblock.server.connected', { server: api, ms: Date.now() - started }));
+  } catch (err) {
+    console.warn('[SponsorBlock] Server test failed:', err);
+    showToast('SponsorBlock', t('sponsorblock.server.failed', { server: api, error: err.message }));
+  }
+}
+
+// Called after submitting a segment, so the next visit asks the API again.
+export function forgetCachedSegments(videoID) {
+  segmentCache.delete(videoID);
+  persistSegmentCache();
+}
+
+// Resolves with the segments of a video, from the cache when fresh or when the API fails.
+// Rejects only when the API fails and nothing is cached.
+async function loadSegments(videoID) {
+  const cached = segmentCache.get(videoID);
+  if (isFresh(cached, Date.now(), SEGMENTS_FRESH_MS)) {
+    sbLog(videoID, 'Using cached segments');
+    return cached.segments;
+  }
+
+  try {
+    const segments = await fetchSegments(videoID);
+    segmentCache.set(videoID, { segments, fetchedAt: Date.now() });
+    persistSegmentCache();
+    return segments;
+  } catch (err) {
+    if (!cached) throw err;
+    console.warn('[SponsorBlock] Segment request failed, using cached segments:', err);
+    return cached.segments;
+  }
+}
+
 class SponsorBlockHandler {
   video = null;
   active = true;
 
   attachVideoTimeout = null;
   nextSkipTimeout = null;
+  skipNoticeTimeout = null;
+  noticeCount = null;
   sliderObserver = null;
   overlayVisibilityRaf = null;
   lastOverlayVisible = null;
@@ -74,45 +199,51 @@ class SponsorBlockHandler {
   scheduleSkipHandler = null;
   durationChangeHandler = null;
   segments = null;
-  skippableCategories = [];
-  manualSkippableCategories = [];
+  pendingSegment = null;
+  pendingElement = null;
+  labelElement = null;
+  chaptersLoaded = false;
+  mutedSegment = null;
+  // Manual mute segments the viewer chose to mute with their button.
+  manualMutes = new Set();
   skippedCategories = new Map();
+  // Skips counted in the statistics per segment UUID, as { count, seconds }.
+  countedSkips = new Map();
 
   constructor(videoID) {
     this.videoID = videoID;
   }
 
   async init() {
-    const videoHash = sha256(this.videoID).substring(0, 4);
-    const categories = [
-      'sponsor',
-      'intro',
-      'outro',
-      'interaction',
-      'selfpromo',
-      'preview',
-      'filler',
-      'music_offtopic',
-      'poi_highlight'
-    ];
-    const resp = await fetch(
-      `${sponsorblockAPI}/skipSegments/${videoHash}?categories=${encodeURIComponent(
-        JSON.stringify(categories)
-      )}`
-    );
-    const results = await resp.json();
+    let segments;
+    try {
+      segments = await loadSegments(this.videoID);
+    } catch (err) {
+      console.warn('[SponsorBlock] Could not load segments:', err);
+      if (this.active) showToast('SponsorBlock', t('sponsorblock.toasts.loadFailed'));
+      return;
+    }
 
-    const result = results.find((v) => v.videoID === this.videoID);
-    sbLog(this.videoID, 'Got it:', result);
+    // The user may have moved on to another video while the request was running.
+    if (!this.active) return;
+    sbLog(this.videoID, 'Got it:', segments);
 
-    if (!result || !result.segments || !result.segments.length) {
+    if (!segments.length) {
       sbLog(this.videoID, 'No segments found.');
       return;
     }
 
-    this.segments = result.segments;
-    this.manualSkippableCategories = configRead('sponsorBlockManualSkips');
-    this.skippableCategories = this.getSkippableCategories();
+    this.start(segments);
+  }
+
+  start(segments) {
+    // Already started to preview a segment that is being submitted.
+    if (this.segments) {
+      segments.forEach((segment) => this.addSegment(segment));
+      return;
+    }
+
+    this.segments = segments;
 
     this.scheduleSkipHandler = () => {
       const slider = document.querySelector('div[idomkey="slider"]');
@@ -121,6 +252,7 @@ class SponsorBlockHandler {
       if (isOldUI && sliderRect) {
         this.segmentsoverlay.style.setProperty('top', `${sliderRect.top}px`, 'important');
       }
+      this.updateMute();
       this.scheduleSkip();
     }
     this.durationChangeHandler = () => this.buildOverlay();
@@ -129,33 +261,57 @@ class SponsorBlockHandler {
     this.buildOverlay();
   }
 
-  getSkippableCategories() {
-    const skippableCategories = [];
-    if (configRead('enableSponsorBlockSponsor')) {
-      skippableCategories.push('sponsor');
-    }
-    if (configRead('enableSponsorBlockIntro')) {
-      skippableCategories.push('intro');
-    }
-    if (configRead('enableSponsorBlockOutro')) {
-      skippableCategories.push('outro');
-    }
-    if (configRead('enableSponsorBlockInteraction')) {
-      skippableCategories.push('interaction');
-    }
-    if (configRead('enableSponsorBlockSelfPromo')) {
-      skippableCategories.push('selfpromo');
-    }
-    if (configRead('enableSponsorBlockPreview')) {
-      skippableCategories.push('preview');
-    }
-    if (configRead('enableSponsorBlockFiller')) {
-      skippableCategories.push('filler');
-    }
-    if (configRead('enableSponsorBlockMusicOfftopic')) {
-      skippableCategories.push('music_offtopic');
+  // Returns to the start of a skipped segment and keeps it from being skipped again.
+  unskip(UUID) {
+    const segment = this.segments?.find((seg) => seg.UUID === UUID);
+    if (!segment || !this.video) return;
+
+    const skipped = this.skippedCategories.get(UUID) || {
+      count: 0,
+      firstSkipped: 0,
+      lastSkipped: 0,
+      hasShownToast: false
+    };
+    skipped.unskipped = true;
+    this.skippedCategories.set(UUID, skipped);
+
+    const counted = this.countedSkips.get(UUID);
+    if (counted) {
+      forgetSkip(this.videoID, segment, counted.seconds, counted.count);
+      this.countedSkips.delete(UUID);
     }
-    return skippableCategories;
+
+    this.video.currentTime = segment.segment[0];
+    this.scheduleSkip();
+  }
+
+  // Counts a skip, automatic or from the skip button, with the seconds actually jumped over.
+  countSkip(segment, seconds) {
+    if (!(seconds > 0)) return;
+    recordSkip(this.videoID, segment, seconds);
+
+    const counted = this.countedSkips.get(segment.UUID) || { count: 0, seconds: 0 };
+    counted.count++;
+    counted.seconds += seconds;
+    this.countedSkips.set(segment.UUID, counted);
+  }
+
+  // Called by the SKIP action of the manual skip buttons, after the jump.
+  recordManualSkip(UUID, seconds) {
+    const segment = this.segments?.find((seg) => seg.UUID === UUID);
+    if (segment) this.countSkip(segment, seconds);
+  }
+
+  // Whitelisted channels keep their segments on the bar, but nothing is skipped or muted.
+  segmentMode(segment) {
+    const mode = getSegmentMode(segment, configRead);
+    if ((mode === 'auto' || mode === 'manual') && this.isWhitelisted()) return 'bar';
+    return mode;
+  }
+
+  // Read on every use, the player response with the channel may come after the hashchange.
+  isWhitelisted() {
+    return isChannelWhitelisted(getVideoChannel(this.videoID));
   }
 
   attachVideo() {
@@ -207,26 +363,12 @@ class SponsorBlockHandler {
       this.segmentsoverlay.style.setProperty('height', `${sliderRect.height}px`, 'important');
       this.segmentsoverlay.style.setProperty('bottom', `${sliderRect.bottom - sliderRect.top}px`, 'important');      
     }
-    this.segments.forEach((segment) => {
-      const [start, end] = segment.segment;
-      const barType = barTypes[segment.category] || {
-        color: 'blue',
-        opacity: 0.7
-      };
-
-      const leftPercent = videoDuration ? (100.0 * start) / videoDuration : 0;
-      const widthPercent = videoDuration ? (100.0 * (end - start)) / videoDuration : 0;
-
-      const elm = document.createElement('div');
-      elm.style.setProperty('background-color', barType.color, 'important');
-      elm.style.setProperty('opacity', barType.opacity, 'important');
-      elm.style.setProperty('height', '100%', 'important');
-      elm.style.setProperty('width', `${segment.category === 'poi_highlight' ? 1 : widthPercent}%`, 'important');
-      elm.style.setProperty('left', `${leftPercent}%`, 'important');
-      elm.style.setProperty('position', 'absolute', 'important');
-      sbLog('Generated element', elm, 'from', segment);
-      this.segmentsoverlay.appendChild(elm);
+    this.segments.filter((segment) => this.isDrawn(segment)).forEach((segment) => {
+      this.segmentsoverlay.appendChild(this.createSegmentElement(segment, videoDuration));
     });
+    this.renderPendingSegment();
+    this.renderVideoLabel();
+    this.loadChapters();
 
     this.observer = new MutationObserver((mutations) => {
       let needsRestoreOverlay = false;
@@ -282,6 +424,155 @@ class SponsorBlockHandler {
     }
   }
 
+  createSegmentElement(segment, videoDuration) {
+    const [start, end] = segment.segment;
+    const barType = getSegmentStyle(segment.category, barTypes[segment.category] || {
+      color: 'blue',
+      opacity: 0.7
+    }, configRead);
+
+    const leftPercent = videoDuration ? (100.0 * start) / videoDuration : 0;
+    const widthPercent = videoDuration ? (100.0 * (end - start)) / videoDuration : 0;
+
+    const elm = document.createElement('div');
+    elm.style.setProperty('background-color', barType.color, 'important');
+    elm.style.setProperty('opacity', barType.opacity, 'important');
+    elm.style.setProperty('height', '100%', 'important');
+    elm.style.setProperty('width', `${segment.category === 'poi_highlight' ? 1 : widthPercent}%`, 'important');
+    elm.style.setProperty('left', `${leftPercent}%`, 'important');
+    elm.style.setProperty('position', 'absolute', 'important');
+    sbLog('Generated element', elm, 'from', segment);
+    return elm;
+  }
+
+  addSegment(segment) {
+    this.segments.push(segment);
+    if (this.segmentsoverlay && this.video?.duration && this.isDrawn(segment)) {
+      this.segmentsoverlay.appendChild(this.createSegmentElement(segment, this.video.duration));
+    }
+    this.scheduleSkip();
+  }
+
+  isDrawn(segment) {
+    return BAR_ACTION_TYPES.includes(getActionType(segment)) && this.segmentMode(segment) !== 'ignore';
+  }
+
+  // Badge above the progress bar for videos labelled as a whole, e.g. entirely sponsored.
+  renderVideoLabel() {
+    if (this.labelElement || !configRead('enableSponsorBlockVideoLabels')) return;
+
+    const label = getFullVideoLabel(this.segments.filter((segment) => this.segmentMode(segment) !== 'ignore'));
+    if (!label) return;
+
+    this.labelElement = document.createElement('div');
+    this.labelElement.textContent = t(`sponsorblock.labels.${label}`);
+    this.labelElement.style.setProperty('position', 'absolute', 'important');
+    this.labelElement.style.setProperty('bottom', '150%', 'important');
+    this.labelElement.style.setProperty('left', '0', 'important');
+    this.labelElement.style.setProperty('padding', '0.2rem 0.6rem', 'important');
+    this.labelElement.style.setProperty('border-radius', '0.3rem', 'important');
+    this.labelElement.style.setProperty('font-size', '1.4rem', 'important');
+    this.labelElement.style.setProperty('color', '#ffffff', 'important');
+    this.labelElement.style.setProperty('background-color', getSegmentStyle(label, { color: barTypes[label]?.color || '#008a5c' }, configRead).color, 'important');
+    this.segmentsoverlay.appendChild(this.labelElement);
+  }
+
+  // Loads the chapter segments as player chapters, once the duration is known.
+  loadChapters() {
+    if (this.chaptersLoaded || !configRead('enableSponsorBlockChapters')) return;
+    this.chaptersLoaded = true;
+
+    const chapters = buildChapters(this.segments, this.video.duration);
+    if (!chapters.length) return;
+
+    const entity = chapterMarkerEntity(this.videoID, chapters);
+    resolveCommand({
+      clickTrackingParams: null,
+      entityUpdateCommand: {
+        entityBatchUpdate: {
+          mutations: [entity]
+        }
+      }
+    });
+    resolveCommand({
+      clickTrackingParams: null,
+      loadMarkersCommand: {
+        visibleOnLoadKeys: [entity.entityKey],
+        entityKeys: [entity.entityKey]
+      }
+    });
+  }
+
+  // Called by the mute button of manual mute segments.
+  muteSegment(UUID) {
+    if (!this.segments?.some((seg) => seg.UUID === UUID)) return;
+    this.manualMutes.add(UUID);
+    this.updateMute();
+  }
+
+  // Mutes the audio while inside an auto mute segment, or a manual one whose button was pressed,
+  // and restores it afterwards.
+  updateMute() {
+    if (!this.video) return;
+
+    const segment = findMuteSegmentAt(
+      this.segments.filter((seg) => this.segmentMode(seg) === 'auto' || this.manualMutes.has(seg.UUID)),
+      this.video.currentTime
+    );
+
+    if (segment && !this.mutedSegment) {
+      // Leave videos the user muted alone.
+      if (this.video.muted) return;
+      sbLog(this.videoID, 'Muting', segment);
+      this.mutedSegment = segment;
+      this.video.muted = true;
+      if (configRead('enableSponsorBlockToasts')) {
+        showToast('SponsorBlock', t('sponsorblock.toasts.muting', { segment: barTypes[segment.category]?.name || segment.category }));
+      }
+    } else if (!segment && this.mutedSegment) {
+      this.unmute();
+    }
+  }
+
+  unmute() {
+    if (!this.mutedSegment) return;
+    // Manual segments need their button again the next time they play.
+    this.manualMutes.delete(this.mutedSegment.UUID);
+    this.mutedSegment = null;
+    if (this.video) this.video.muted = false;
+  }
+
+  // Shows the segment being marked for submission. end is null while only the start is set.
+  setPendingSegment(start, end) {
+    this.pendingSegment = start === null ? null : { start, end };
+    // Videos without segments have no overlay yet.
+    if (!this.segments) this.start([]);
+    this.renderPendingSegment();
+  }
+
+  renderPendingSegment() {
+    if (this.pendingElement) {
+      this.pendingElement.remove();
+      this.pendingElement = null;
+    }
+
+    if (!this.pendingSegment || !this.segmentsoverlay || !this.video?.duration) return;
+
+    const { start, end } = this.pendingSegment;
+    const videoDuration = this.video.duration;
+    const from = end === null ? start : Math.min(start, end);
+    const widthPercent = end === null ? 1 : Math.max(0.5, (100.0 * Math.abs(end - start)) / videoDuration);
+
+    this.pendingElement = document.createElement('div');
+    this.pendingElement.style.setProperty('background-color', '#ffffff', 'important');
+    this.pendingElement.style.setProperty('opacity', '0.6', 'important');
+    this.pendingElement.style.setProperty('height', '100%', 'important');
+    this.pendingElement.style.setProperty('width', `${widthPercent}%`, 'important');
+    this.pendingElement.style.setProperty('left', `${(100.0 * from) / videoDuration}%`, 'important');
+    this.pendingElement.style.setProperty('position', 'absolute', 'important');
+    this.segmentsoverlay.appendChild(this.pendingElement);
+  }
+
   scheduleOverlayVisibilityUpdate() {
     if (this.overlayVisibilityRaf) {
       return;
@@ -309,9 +600,34 @@ class SponsorBlockHandler {
     this.segmentsoverlay.style.setProperty('display', isVisible ? 'block' : 'none', 'important');
   }
 
+  // Counts down to an automatic skip, one toast per second. Runs again on every timeupdate, so
+  // the notice also shows when playback starts or seeks into the lead-in.
+  updateSkipNotice(segment) {
+    clearTimeout(this.skipNoticeTimeout);
+    this.skipNoticeTimeout = null;
+
+    const noticeSeconds = configRead('sponsorBlockSkipNotice');
+    const [start] = segment.segment;
+    const count = skipNoticeCount(this.video.currentTime, start, noticeSeconds);
+    if (count !== null && count !== this.noticeCount) {
+      showToast('SponsorBlock', t('sponsorblock.toasts.skippingIn', {
+        segment: barTypes[segment.category]?.name || segment.category,
+        count
+      }));
+    }
+    this.noticeCount = count;
+
+    const delay = nextSkipNoticeDelay(this.video.currentTime, start, noticeSeconds);
+    if (delay !== null) {
+      this.skipNoticeTimeout = setTimeout(() => this.updateSkipNotice(segment), delay * 1000);
+    }
+  }
+
   scheduleSkip() {
     clearTimeout(this.nextSkipTimeout);
     this.nextSkipTimeout = null;
+    clearTimeout(this.skipNoticeTimeout);
+    this.skipNoticeTimeout = null;
 
     if (!this.active) {
       sbLog(this.videoID, 'No longer active, ignoring...');
@@ -328,6 +644,9 @@ class SponsorBlockHandler {
     // and, in worst case, perform a skip at negative interval (immediately)...
     const nextSegments = this.segments.filter(
       (seg) =>
+        getActionType(seg) === 'skip' &&
+        this.segmentMode(seg) === 'auto' &&
+        !this.skippedCategories.get(seg.UUID)?.unskipped &&
         seg.segment[0] > this.video.currentTime - 0.3 &&
         seg.segment[1] > this.video.currentTime - 0.3
     );
@@ -348,56 +667,58 @@ class SponsorBlockHandler {
       start - this.video.currentTime
     );
 
+    this.updateSkipNotice(segment);
+
     this.nextSkipTimeout = setTimeout(() => {
       if (this.video.paused) {
         sbLog(this.videoID, 'Currently paused, ignoring...');
         return;
       }
-      if (!this.skippableCategories.includes(segment.category)) {
+      if (this.segmentMode(segment) !== 'auto') {
         sbLog(
           this.videoID,
           'Segment',
           segment.category,
-          'is not skippable, ignoring...'
+          'is not auto-skipped, ignoring...'
         );
         return;
       }
 
       const skipName = barTypes[segment.category]?.name || segment.category;
       sbLog(this.videoID, 'Skipping', segment);
-      if (!this.manualSkippableCategories.includes(segment.category)) {
-        const wasSkippedBefore = this.skippedCategories.get(segment.UUID)
-        if (wasSkippedBefore) {
-          wasSkippedBefore.count++;
-          wasSkippedBefore.lastSkipped = Date.now();
-          this.skippedCategories.set(segment.UUID, wasSkippedBefore);
-
-          if (wasSkippedBefore.lastSkipped - wasSkippedBefore.firstSkipped < 1000) {
-            if (!wasSkippedBefore.hasShownToast) {
-              if (configRead('enableSponsorBlockToasts')) {
-                showToast('SponsorBlock', t('sponsorblock.toasts.notSkipping', { segment: skipName, count: wasSkippedBefore.count }));
-              }
-              wasSkippedBefore.hasShownToast = true;
-              this.skippedCategories.set(segment.UUID, wasSkippedBefore);
+      const wasSkippedBefore = this.skippedCategories.get(segment.UUID)
+      if (wasSkippedBefore) {
+        wasSkippedBefore.count++;
+        wasSkippedBefore.lastSkipped = Date.now();
+        this.skippedCategories.set(segment.UUID, wasSkippedBefore);
+
+        if (wasSkippedBefore.lastSkipped - wasSkippedBefore.firstSkipped < 1000) {
+          if (!wasSkippedBefore.hasShownToast) {
+            if (configRead('enableSponsorBlockToasts')) {
+              showToast('SponsorBlock', t('sponsorblock.toasts.notSkipping', { segment: skipName, count: wasSkippedBefore.count }));
             }
-            return;
+            wasSkippedBefore.hasShownToast = true;
+            this.skippedCategories.set(segment.UUID, wasSkippedBefore);
           }
-        } else {
-          this.skippedCategories.set(segment.UUID, {
-            count: 1,
-            firstSkipped: Date.now(),
-            lastSkipped: Date.now(),
-            hasShownToast: false
-          });
+          return;
         }
-        if (configRead('enableSponsorBlockToasts')) {
-          showToast('SponsorBlock', t('sponsorblock.toasts.skipping', { segment: skipName }));
-        }
-        if (this.video.duration - end < 1) {
-          this.video.currentTime = end - 1;
-        } else this.video.currentTime = end;
-        this.scheduleSkip();
+      } else {
+        this.skippedCategories.set(segment.UUID, {
+          count: 1,
+          firstSkipped: Date.now(),
+          lastSkipped: Date.now(),
+          hasShownToast: false
+        });
+      }
+      if (configRead('enableSponsorBlockToasts')) {
+        showToast('SponsorBlock', t('sponsorblock.toasts.skipping', { segment: skipName }));
       }
+      const skipFrom = this.video.currentTime;
+      if (this.video.duration - end < 1) {
+        this.video.currentTime = end - 1;
+      } else this.video.currentTime = end;
+      this.countSkip(segment, this.video.currentTime - skipFrom);
+      this.scheduleSkip();
     }, (start - this.video.currentTime) * 1000);
   }
 
@@ -405,12 +726,18 @@ class SponsorBlockHandler {
     sbLog(this.videoID, 'Destroying');
 
     this.active = false;
+    this.unmute();
 
     if (this.nextSkipTimeout) {
       clearTimeout(this.nextSkipTimeout);
       this.nextSkipTimeout = null;
     }
 
+    if (this.skipNoticeTimeout) {
+      clearTimeout(this.skipNoticeTimeout);
+      this.skipNoticeTimeout = null;
+    }
+
     if (this.attachVideoTimeout) {
       clearTimeout(this.attachVideoTimeout);
       this.attachVideoTimeout = null;
@@ -0,0 +1,153 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TimeoutError, addLabelBadge, buildChapters, buildSubmission, buildVoteQuery, findMuteSegmentAt, formatTime, generateUserID, getFullVideoLabel, getSegmentMode, isFresh, nextSkipNoticeDelay, retryWithBackoff, skipNoticeCount, withTimeout, getSegmentStyle, normalizeServerUrl } from './sponsorblockCore.js';
+
+test('withTimeout rejects slow promises and passes fast ones through', async () => {
+    await assert.rejects(withTimeout(new Promise(() => { }), 5), TimeoutError);
+    assert.equal(await withTimeout(Promise.resolve('ok'), 50), 'ok');
+    await assert.rejects(withTimeout(Promise.reject(new Error('offline')), 50), /offline/);
+});
+
+test('retryWithBackoff retries with doubling delays', async () => {
+    const delays = [];
+    const sleep = ms => {
+        delays.push(ms);
+        return Promise.resolve();
+    };
+
+    let calls = 0;
+    const result = await retryWithBackoff(() => {
+        calls++;
+        if (calls < 3) throw new Error('flaky');
+        return 'segments';
+    }, { retries: 2, baseDelayMs: 100, sleep });
+
+    assert.equal(result, 'segments');
+    assert.deepEqual(delays, [100, 200]);
+
+    await assert.rejects(retryWithBackoff(() => Promise.reject(new Error('down')), { retries: 1, baseDelayMs: 1, sleep }), /down/);
+});
+
+test('isFresh compares the fetch time with the freshness window', () => {
+    assert.equal(isFresh({ fetchedAt: 100 }, 150, 100), true);
+    assert.equal(isFresh({ fetchedAt: 100 }, 200, 100), false);
+    assert.equal(isFresh(undefined, 0, 100), false);
+});
+
+test('generateUserID returns a long alphanumeric id', () => {
+    const id = generateUserID();
+    assert.equal(id.length, 36);
+    assert.match(id, /^[a-zA-Z0-9]+$/);
+    assert.equal(generateUserID(() => 0, 30), 'a'.repeat(30));
+});
+
+test('buildSubmission orders the boundaries and rejects tiny segments', () => {
+    const body = buildSubmission({ videoID: 'abc', userID: 'u', userAgent: 'TizenTube', category: 'sponsor', start: 95.12345, end: 30, videoDuration: 600.5 });
+    assert.deepEqual(body.segments, [{ segment: [30, 95.123], category: 'sponsor', actionType: 'skip' }]);
+    assert.equal(body.videoDuration, 600.5);
+
+    const highlight = buildSubmission({ videoID: 'abc', userID: 'u', userAgent: 'TizenTube', category: 'poi_highlight', start: 42, end: 42.2 });
+    assert.deepEqual(highlight.segments[0].segment, [42, 42]);
+    assert.equal(highlight.segments[0].actionType, 'poi');
+
+    assert.throws(() => buildSubmission({ videoID: 'abc', userID: 'u', category: 'intro', start: 10, end: 10.5 }), /one second/);
+});
+
+test('formatTime pads minutes and seconds', () => {
+    assert.equal(formatTime(83.4), '1:23');
+    assert.equal(formatTime(5), '0:05');
+    assert.equal(formatTime(3725), '1:02:05');
+});
+
+test('buildVoteQuery sends either a vote type or a new category', () => {
+    assert.equal(buildVoteQuery({ UUID: 'abc', userID: 'u', type: 0 }), 'UUID=abc&userID=u&type=0');
+    assert.equal(buildVoteQuery({ UUID: 'abc', userID: 'u', category: 'music_offtopic' }), 'UUID=abc&userID=u&category=music_offtopic');
+});
+
+test('getSegmentMode falls back to the skip button below the minimum duration', () => {
+    const config = { sponsorBlockSponsorMode: 'auto', sponsorBlockSponsorMinDuration: 10, sponsorBlockIntroMode: 'ignore' };
+    const read = key => config[key];
+
+    assert.equal(getSegmentMode({ category: 'sponsor', segment: [0, 30] }, read), 'auto');
+    assert.equal(getSegmentMode({ category: 'sponsor', segment: [0, 4] }, read), 'manual');
+    assert.equal(getSegmentMode({ category: 'intro', segment: [0, 4] }, read), 'ignore');
+    assert.equal(getSegmentMode({ category: 'poi_highlight', segment: [5, 5] }, read), 'bar');
+});
+
+test('full-video labels and mute segments are found by action type', () => {
+    const segments = [
+        { category: 'sponsor', segment: [10, 20] },
+        { category: 'music_offtopic', actionType: 'mute', segment: [30, 40] },
+        { category: 'exclusive_access', actionType: 'full', segment: [0, 0] }
+    ];
+
+    assert.equal(getFullVideoLabel(segments), 'exclusive_access');
+    assert.equal(getFullVideoLabel(segments.slice(0, 2)), null);
+    assert.equal(findMuteSegmentAt(segments, 35), segments[1]);
+    assert.equal(findMuteSegmentAt(segments, 15), null);
+    assert.equal(findMuteSegmentAt(segments, 40), null);
+});
+
+test('buildChapters fills gaps and drops nested chapters', () => {
+    const chapter = (start, end, description) => ({ category: 'chapter', actionType: 'chapter', segment: [start, end], description });
+    const chapters = buildChapters([
+        chapter(60, 120, 'Second'),
+        chapter(10, 60, 'First'),
+        chapter(70, 80, 'Nested'),
+        { category: 'sponsor', segment: [0, 5] }
+    ], 200);
+
+    assert.deepEqual(chapters, [
+        { title: '', start: 0, end: 10 },
+        { title: 'First', start: 10, end: 60 },
+        { title: 'Second', start: 60, end: 120 },
+        { title: '', start: 120, end: 200 }
+    ]);
+    assert.deepEqual(buildChapters([{ category: 'sponsor', segment: [0, 5] }], 200), []);
+});
+
+test('addLabelBadge adds the badge to the first metadata line once', () => {
+    const tile = { metadata: { tileMetadataRenderer: { lines: [{ lineRenderer: { items: [{ lineItemRenderer: { text: { simpleText: 'Channel' } } }] } }] } } };
+
+    assert.equal(addLabelBadge(tile, 'Sponsored Video'), true);
+    assert.equal(addLabelBadge(tile, 'Sponsored Video'), false);
+    const items = tile.metadata.tileMetadataRenderer.lines[0].lineRenderer.items;
+    assert.equal(items.length, 2);
+    assert.equal(items[0].lineItemRenderer.badge.metadataBadgeRenderer.label, 'Sponsored Video');
+    assert.equal(addLabelBadge({}, 'Sponsored Video'), false);
+});
+
+test('skipNoticeCount counts down within the lead-in only', () => {
+    assert.equal(skipNoticeCount(6, 10, 3), null);
+    assert.equal(skipNoticeCount(7, 10, 3), 3);
+    assert.equal(skipNoticeCount(8.5, 10, 3), 2);
+    assert.equal(skipNoticeCount(9.9, 10, 3), 1);
+    assert.equal(skipNoticeCount(10, 10, 3), null);
+    assert.equal(skipNoticeCount(9, 10, 0), null);
+});
+
+test('nextSkipNoticeDelay waits for the lead-in, then for each second', () => {
+    assert.equal(nextSkipNoticeDelay(5, 10, 3), 2);
+    assert.equal(nextSkipNoticeDelay(7, 10, 3), 1);
+    assert.equal(nextSkipNoticeDelay(8.5, 10, 3), 0.5);
+    assert.equal(nextSkipNoticeDelay(9.5, 10, 3), null);
+    assert.equal(nextSkipNoticeDelay(5, 10, 0), null);
+});
+
+test('normalizeServerUrl accepts bare hosts and API urls', () => {
+    assert.equal(normalizeServerUrl('sb.example.org/api/'), 'https://sb.example.org');
+    assert.equal(normalizeServerUrl(' http://192.168.1.2:8080 '), 'http://192.168.1.2:8080');
+    assert.equal(normalizeServerUrl('https://example.org/sponsorblock/'), 'https://example.org/sponsorblock');
+    assert.equal(normalizeServerUrl(''), null);
+    assert.equal(normalizeServerUrl('not a server'), null);
+});
+
+test('getSegmentStyle overrides the built-in colours that are set', () => {
+    const fallback = { color: '#00d400', opacity: '0.7' };
+    const config = { sponsorBlockSponsorColor: '#ff0000', sponsorBlockSponsorOpacity: '' };
+    const read = key => config[key];
+
+    assert.deepEqual(getSegmentStyle('sponsor', fallback, read), { color: '#ff0000', opacity: '0.7' });
+    assert.deepEqual(getSegmentStyle('intro', fallback, read), fallback);
+    assert.equal(getSegmentStyle('chapter', fallback, read), fallback);
+});
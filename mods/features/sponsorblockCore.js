@@ -0,0 +1,278 @@
+export class TimeoutError extends Error {
+    constructor(ms) {
+        super(`Timed out after ${ms}ms`);
+        this.name = 'TimeoutError';
+    }
+}
+
+// Rejects with a TimeoutError when the promise does not settle in time. The request itself
+// keeps running, the Tizen browsers have no AbortController.
+export function withTimeout(promise, ms, timers = { setTimeout, clearTimeout }) {
+    return new Promise((resolve, reject) => {
+        const timeout = timers.setTimeout(() => reject(new TimeoutError(ms)), ms);
+        promise.then(value => {
+            timers.clearTimeout(timeout);
+            resolve(value);
+        }, error => {
+            timers.clearTimeout(timeout);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Runs a task until it succeeds, waiting baseDelayMs, then twice as long, and so on between
+ * attempts.
+ * @param {function(number): Promise} task Called with the attempt number, starting at 0.
+ * @param {object} options
+ * @param {number} options.retries Attempts after the first one.
+ * @param {number} options.baseDelayMs
+ * @param {function(number): Promise} [options.sleep]
+ */
+export async function retryWithBackoff(task, { retries, baseDelayMs, sleep = ms => new Promise(resolve => setTimeout(resolve, ms)) }) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task(attempt);
+        } catch (error) {
+            if (attempt >= retries) throw error;
+            await sleep(baseDelayMs * Math.pow(2, attempt));
+        }
+    }
+}
+
+// Cached segments are reused without asking the API while fresh, and still used when it
+// cannot be reached after that.
+export function isFresh(entry, now, freshMs) {
+    return Boolean(entry) && now - entry.fetchedAt < freshMs;
+}
+
+const USER_ID_ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+// SponsorBlock private user IDs have to be at least 30 characters long. They are never sent
+// anywhere but to the submission endpoint, which stores their hash.
+export function generateUserID(random = Math.random, length = 36) {
+    let id = '';
+    for (let i = 0; i < length; i++) {
+        id += USER_ID_ALPHABET.charAt(Math.floor(random() * USER_ID_ALPHABET.length));
+    }
+    return id;
+}
+
+/**
+ * Builds the body of a POST /api/skipSegments request. Highlights are a single point in time,
+ * every other category is a skip between start and end.
+ * @returns {object}
+ * @throws {Error} When a skip segment is shorter than a second.
+ */
+export function buildSubmission({ videoID, userID, userAgent, category, start, end, videoDuration }) {
+    const isHighlight = category === 'poi_highlight';
+    const segmentStart = Math.max(0, Math.min(start, end));
+    const segmentEnd = isHighlight ? segmentStart : Math.max(start, end);
+
+    if (!isHighlight && segmentEnd - segmentStart < 1) {
+        throw new Error('Segment must be at least one second long');
+    }
+
+    const round = time => Math.round(time * 1000) / 1000;
+    return {
+        videoID,
+        userID,
+        userAgent,
+        videoDuration: videoDuration ? round(videoDuration) : undefined,
+        segments: [{
+            segment: [round(segmentStart), round(segmentEnd)],
+            category,
+            actionType: isHighlight ? 'poi' : 'skip'
+        }]
+    };
+}
+
+// 83.4 -> "1:23"
+export function formatTime(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total % 3600 / 60);
+    const pad = value => (value < 10 ? '0' : '') + value;
+    return hours ? `${hours}:${pad(minutes)}:${pad(total % 60)}` : `${minutes}:${pad(total % 60)}`;
+}
+
+/**
+ * Builds the query string of a POST /api/voteOnSponsorTime request. Category votes move the
+ * segment to another category, every other vote is 1 for an upvote and 0 for a downvote.
+ * @param {object} vote
+ * @param {string} vote.UUID
+ * @param {string} vote.userID
+ * @param {number} [vote.type]
+ * @param {string} [vote.category]
+ * @returns {string}
+ */
+export function buildVoteQuery({ UUID, userID, type, category }) {
+    const params = [['UUID', UUID], ['userID', userID]];
+    if (category) params.push(['category', category]);
+    else params.push(['type', type]);
+    return params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+}
+
+// What happens to the segments of a category: skipped on their own, skipped with a button,
+// only drawn on the progress bar, or left out entirely.
+export const SEGMENT_MODES = ['auto', 'manual', 'bar', 'ignore'];
+
+// Skippable categories with the suffix of their config keys. Highlights are not skipped and keep
+// their own enableSponsorBlockHighlight toggle.
+export const SKIP_CATEGORIES = [
+    { category: 'sponsor', key: 'Sponsor' },
+    { category: 'intro', key: 'Intro' },
+    { category: 'outro', key: 'Outro' },
+    { category: 'interaction', key: 'Interaction' },
+    { category: 'selfpromo', key: 'SelfPromo' },
+    { category: 'preview', key: 'Preview' },
+    { category: 'filler', key: 'Filler' },
+    { category: 'music_offtopic', key: 'MusicOfftopic' }
+];
+
+export const modeConfigKey = ({ key }) => `sponsorBlock${key}Mode`;
+export const minDurationConfigKey = ({ key }) => `sponsorBlock${key}MinDuration`;
+
+/**
+ * Mode a segment is handled with. Auto-skipped segments shorter than the category minimum get
+ * the skip button instead.
+ * @param {object} segment SponsorBlock segment, with segment and category.
+ * @param {function(string): *} read Reads a config key.
+ * @returns {string} One of SEGMENT_MODES. Categories without a mode are only drawn.
+ */
+export function getSegmentMode(segment, read) {
+    const entry = SKIP_CATEGORIES.find(candidate => candidate.category === segment.category);
+    if (!entry) return 'bar';
+
+    const mode = read(modeConfigKey(entry));
+    const minDuration = read(minDurationConfigKey(entry)) || 0;
+    const [start, end] = segment.segment;
+    if (mode === 'auto' && end - start < minDuration) return 'manual';
+    return mode;
+}
+
+// Segments from before actionType was added to the API are skips.
+export const getActionType = segment => segment.actionType || 'skip';
+
+// Category of the label covering the whole video, e.g. 'sponsor' or 'exclusive_access'.
+export function getFullVideoLabel(segments) {
+    const label = segments.find(segment => getActionType(segment) === 'full');
+    return label ? label.category : null;
+}
+
+export function findMuteSegmentAt(segments, time) {
+    return segments.find(segment =>
+        getActionType(segment) === 'mute' &&
+        time >= segment.segment[0] &&
+        time < segment.segment[1]
+    ) || null;
+}
+
+/**
+ * Turns chapter segments into the contiguous list of chapters the player expects. Gaps get an
+ * untitled chapter and chapters nested in an earlier one are dropped.
+ * @param {object[]} segments SponsorBlock segments, chapters carry their name in description.
+ * @param {number} duration Video duration in seconds.
+ * @returns {{ title: string, start: number, end: number }[]} Empty without chapter segments.
+ */
+export function buildChapters(segments, duration) {
+    const chapters = segments
+        .filter(segment => getActionType(segment) === 'chapter')
+        .map(segment => ({ title: segment.description || '', start: segment.segment[0], end: Math.min(segment.segment[1], duration) }))
+        .sort((a, b) => a.start - b.start);
+    if (!chapters.length) return [];
+
+    const result = [];
+    let time = 0;
+    for (const chapter of chapters) {
+        if (chapter.end <= time) continue;
+        const start = Math.max(chapter.start, time);
+        if (start > time) result.push({ title: '', start: time, end: start });
+        result.push({ title: chapter.title, start, end: chapter.end });
+        time = chapter.end;
+    }
+    if (time < duration) result.push({ title: '', start: time, end: duration });
+    return result;
+}
+
+// Adds a metadata badge with the full-video label text to the first line of a tile, once.
+export function addLabelBadge(tileRenderer, text) {
+    const lines = tileRenderer?.metadata?.tileMetadataRenderer?.lines;
+    const items = lines?.[0]?.lineRenderer?.items;
+    if (!items) return false;
+    if (items.some(item => item.lineItemRenderer?.badge?.metadataBadgeRenderer?.label === text)) return false;
+
+    items.unshift({
+        lineItemRenderer: {
+            badge: {
+                metadataBadgeRenderer: {
+                    style: 'BADGE_STYLE_TYPE_SIMPLE',
+                    label: text
+                }
+            }
+        }
+    });
+    return true;
+}
+
+/**
+ * Seconds left in the countdown announcing an automatic skip, while the video is within
+ * noticeSeconds of the segment start.
+ * @param {number} currentTime
+ * @param {number} start Segment start.
+ * @param {number} noticeSeconds 0 when the notice is off.
+ * @returns {number|null} Whole seconds, rounded up; null outside of the lead-in.
+ */
+export function skipNoticeCount(currentTime, start, noticeSeconds) {
+    const remaining = start - currentTime;
+    if (!(noticeSeconds > 0) || remaining <= 0 || remaining > noticeSeconds) return null;
+    return Math.ceil(remaining);
+}
+
+// Seconds until the countdown starts or goes down by one. null once it reached its last second.
+export function nextSkipNoticeDelay(currentTime, start, noticeSeconds) {
+    if (!(noticeSeconds > 0)) return null;
+    const remaining = start - currentTime;
+    if (remaining > noticeSeconds) return remaining - noticeSeconds;
+    const count = skipNoticeCount(currentTime, start, noticeSeconds);
+    return count > 1 ? remaining - (count - 1) : null;
+}
+
+export const DEFAULT_SERVER = 'https://sponsor.ajay.app';
+
+/**
+ * Cleans up a server address typed by the user: "sb.example.org/api/" becomes
+ * "https://sb.example.org". The API paths are added by the callers.
+ * @param {string} url
+ * @returns {string|null} null when the address cannot be a server.
+ */
+export function normalizeServerUrl(url) {
+    let server = (url || '').trim().replace(/\/+$/, '').replace(/\/api$/i, '');
+    if (!server) return null;
+    if (!/^https?:\/\//i.test(server)) server = `https://${server}`;
+    return /^https?:\/\/[^\s/?#]+(\/[^\s?#]*)?$/i.test(server) ? server : null;
+}
+
+// The API lives under /api of the server, the DeArrow branding endpoint included.
+export const apiBaseUrl = server => `${normalizeServerUrl(server) || DEFAULT_SERVER}/api`;
+
+// Categories whose progress bar colour can be changed, highlights included.
+export const COLOR_CATEGORIES = SKIP_CATEGORIES.concat({ category: 'poi_highlight', key: 'Highlight' });
+
+export const colorConfigKey = ({ key }) => `sponsorBlock${key}Color`;
+export const opacityConfigKey = ({ key }) => `sponsorBlock${key}Opacity`;
+
+/**
+ * Colour and opacity of a category on the progress bar. Empty settings keep the default.
+ * @param {string} category
+ * @param {{ color: string, opacity: string }} fallback The built-in style.
+ * @param {function(string): *} read Reads a config key.
+ */
+export function getSegmentStyle(category, fallback, read) {
+    const entry = COLOR_CATEGORIES.find(candidate => candidate.category === category);
+    if (!entry) return fallback;
+    return {
+        color: read(colorConfigKey(entry)) || fallback.color,
+        opacity: read(opacityConfigKey(entry)) || fallback.opacity
+    };
+}
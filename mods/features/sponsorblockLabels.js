@@ -0,0 +1,118 @@
+import sha256 from '../tiny-sha256.js';
+import { t } from 'i18next';
+import { configRead } from '../config.js';
+import { registerResponseProcessor } from '../responsePipeline.js';
+import { LruCache, RequestQueue } from './deArrowCore.js';
+import { getSponsorBlockAPI } from './sponsorblock.js';
+import { addLabelBadge, getSegmentMode } from './sponsorblockCore.js';
+
+// Full-video labels ("this whole video is sponsored") of the videos on tiles. The API answers
+// per hash prefix, so one request covers every video sharing the first characters of its hash.
+const STORAGE_KEY = 'tizentube_sponsorblock_labels';
+const MAX_ENTRIES = 2000;
+const TTL_MS = 12 * 60 * 60 * 1000;
+const MAX_CONCURRENT_REQUESTS = 2;
+const PERSIST_DELAY_MS = 2000;
+
+const cache = new LruCache({ maxEntries: MAX_ENTRIES, ttlMs: TTL_MS });
+const queue = new RequestQueue(MAX_CONCURRENT_REQUESTS);
+let persistTimeout = null;
+
+try {
+    cache.load(JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]'));
+} catch (err) {
+    console.warn('[SponsorBlock] Label cache read failed:', err);
+}
+
+function persistCache() {
+    if (persistTimeout) return;
+
+    persistTimeout = setTimeout(() => {
+        persistTimeout = null;
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(cache.serialize()));
+        } catch (err) {
+            console.warn('[SponsorBlock] Label cache write failed:', err);
+        }
+    }, PERSIST_DELAY_MS);
+}
+
+// Resolves with the label category of a video, or null when it has none.
+function fetchLabel(videoID) {
+    const cached = cache.get(videoID);
+    if (cached) return Promise.resolve(cached.category);
+
+    const prefix = sha256(videoID).substring(0, 4);
+    return queue.run(prefix, () =>
+        fetch(`${getSponsorBlockAPI()}/videoLabels/${prefix}`)
+            .then(res => {
+                // 404 when no video with this prefix has a label.
+                if (res.status === 404) return [];
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                return res.json();
+            })
+            .then(results => {
+                for (const result of results) {
+                    cache.set(result.videoID, { category: result.segments?.[0]?.category || null });
+                }
+                return results;
+            })
+    ).then(() => {
+        if (!cache.get(videoID)) cache.set(videoID, { category: null });
+        persistCache();
+        return cache.get(videoID).category;
+    });
+}
+
+function applyLabel(tileRenderer, category) {
+    if (!category) return;
+    // Labels of ignored categories are not shown either.
+    if (getSegmentMode({ category, segment: [0, 0] }, configRead) === 'ignore') return;
+    addLabelBadge(tileRenderer, t(`sponsorblock.labels.${category}`));
+}
+
+function labelTile(tileRenderer) {
+    const videoID = tileRenderer.contentId;
+    if (!videoID || !tileRenderer.onSelectCommand?.watchEndpoint) return;
+
+    const cached = cache.get(videoID);
+    if (cached) {
+        applyLabel(tileRenderer, cached.category);
+        return;
+    }
+
+    fetchLabel(videoID)
+        .then(category => applyLabel(tileRenderer, category))
+        .catch(() => { });
+}
+
+function labelTiles(node) {
+    if (!node || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+        for (const child of node) labelTiles(child);
+        return;
+    }
+
+    for (const key in node) {
+        const child = node[key];
+        if (!child || typeof child !== 'object') continue;
+
+        if (key === 'tileRenderer') {
+            labelTile(child);
+            continue;
+        }
+        labelTiles(child);
+    }
+}
+
+registerResponseProcessor('sponsorBlockLabels', {
+    priority: 58,
+    types: ['browse', 'next', 'continuation'],
+    process(r) {
+        if (!configRead('enableSponsorBlock') || !configRead('enableSponsorBlockVideoLabels')) return;
+
+        labelTiles(r.contents);
+        labelTiles(r.continuationContents);
+    }
+});
@@ -0,0 +1,71 @@
+import { t } from 'i18next';
+import { showModal, buttonItem, overlayPanelItemListRenderer } from '../ui/ytUI.js';
+import { barTypes } from './sponsorblock.js';
+import { formatTime, getActionType } from './sponsorblockCore.js';
+import { getVideoChannel } from './videoChannel.js';
+import { isChannelWhitelisted } from './channelWhitelist.js';
+
+function segmentTitle(segment) {
+    if (getActionType(segment) === 'chapter') return segment.description || t('sponsorblock.segmentList.chapter');
+    return barTypes[segment.category]?.name || segment.category;
+}
+
+function segmentTimes(segment) {
+    const [start, end] = segment.segment;
+    const times = start === end ? formatTime(start) : `${formatTime(start)} - ${formatTime(end)}`;
+    return getActionType(segment) === 'mute' ? t('sponsorblock.segmentList.muted', { times }) : times;
+}
+
+function whitelistButton(channel) {
+    const whitelisted = isChannelWhitelisted(channel);
+    return buttonItem(
+        { title: t(whitelisted ? 'channelWhitelist.remove' : 'channelWhitelist.add'), subtitle: channel.name },
+        { icon: 'STAR' },
+        [
+            {
+                signalAction: {
+                    signal: 'POPUP_BACK'
+                }
+            },
+            {
+                customAction: {
+                    action: 'TOGGLE_CHANNEL_WHITELIST',
+                    parameters: { channel, whitelisted: !whitelisted }
+                }
+            }
+        ]
+    );
+}
+
+// Every segment of the current video with its times. Selecting one jumps to its start. The
+// channel of the video can be whitelisted from here too.
+export function showSegmentList() {
+    const handler = window.sponsorblock;
+    const segments = (handler?.segments || [])
+        .filter(segment => getActionType(segment) !== 'full' && handler.segmentMode(segment) !== 'ignore')
+        .sort((a, b) => a.segment[0] - b.segment[0]);
+
+    const buttons = segments.map(segment => buttonItem(
+        { title: segmentTitle(segment), subtitle: segmentTimes(segment) },
+        { icon: getActionType(segment) === 'chapter' ? 'MENU' : 'SKIP_NEXT' },
+        [
+            {
+                customAction: {
+                    action: 'SKIP',
+                    parameters: {
+                        time: segment.segment[0]
+                    }
+                }
+            }
+        ]
+    ));
+
+    if (!buttons.length) {
+        buttons.push(buttonItem({ title: t('sponsorblock.segmentList.empty') }, { icon: 'HELP' }, []));
+    }
+
+    const channel = handler && getVideoChannel(handler.videoID);
+    if (channel) buttons.push(whitelistButton(channel));
+
+    showModal(t('sponsorblock.segmentList.title'), overlayPanelItemListRenderer(buttons), 'tt-sponsorblock-segment-list');
+}
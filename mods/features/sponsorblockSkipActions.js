@@ -0,0 +1,69 @@
+import { t } from 'i18next';
+import { configRead } from '../config.js';
+import { timelyAction } from '../ui/ytUI.js';
+import { barTypes } from './sponsorblock.js';
+import { getActionType } from './sponsorblockCore.js';
+
+const AFTER_SKIP_ACTION_MS = 8000;
+
+function customActionCommand(action, parameters) {
+    return {
+        clickTrackingParams: null,
+        showEngagementPanelEndpoint: {
+            customAction: {
+                action,
+                parameters
+            }
+        }
+    };
+}
+
+/**
+ * Timely actions shown right after each segment the handler skips or mutes on its own, with an
+ * unskip button for skips and a vote button. Segments submitted from this TV have no real UUID
+ * yet and cannot be voted on.
+ * @param {object} handler window.sponsorblock
+ * @returns {object[]}
+ */
+export function afterSkipTimelyActions(handler) {
+    if (!handler?.segments) return [];
+
+    const unskip = configRead('enableSponsorBlockUnskip');
+    const vote = configRead('enableSponsorBlockVoting');
+    const actions = [];
+
+    for (const segment of handler.segments) {
+        const actionType = getActionType(segment);
+        if (!['skip', 'mute'].includes(actionType) || handler.segmentMode(segment) !== 'auto') continue;
+
+        const buttons = [];
+        if (unskip && actionType === 'skip') {
+            buttons.push(timelyAction(
+                t('sponsorblock.toasts.unskip'),
+                'SKIP_PREVIOUS',
+                customActionCommand('UNSKIP_SPONSORBLOCK_SEGMENT', { UUID: segment.UUID }),
+                segment.segment[1] * 1000,
+                AFTER_SKIP_ACTION_MS
+            ));
+        }
+        if (vote && segment.UUID && !segment.UUID.startsWith('submitted-')) {
+            buttons.push(timelyAction(
+                t('sponsorblock.voting.vote', { segment: barTypes[segment.category]?.name || segment.category }),
+                'DISLIKE',
+                customActionCommand('SHOW_SPONSORBLOCK_VOTE', { UUID: segment.UUID, category: segment.category }),
+                segment.segment[1] * 1000,
+                AFTER_SKIP_ACTION_MS
+            ));
+        }
+        if (!buttons.length) continue;
+
+        // One timely action per segment, the buttons are shown side by side.
+        const [action, ...others] = buttons;
+        for (const other of others) {
+            action.timelyActionRenderer.actionButtons.push(...other.timelyActionRenderer.actionButtons);
+        }
+        actions.push(action);
+    }
+
+    return actions;
+}
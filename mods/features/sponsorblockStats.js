@@ -0,0 +1,60 @@
+import { getVideoChannel } from './videoChannel.js';
+import { SkipStats } from './sponsorblockStatsCore.js';
+
+const STORAGE_KEY = 'tizentube_sponsorblock_stats';
+const MAX_CHANNELS = 200;
+const TOP_CHANNELS = 10;
+const PERSIST_DELAY_MS = 2000;
+
+const stats = new SkipStats({ maxChannels: MAX_CHANNELS });
+let persistTimeout = null;
+
+try {
+    stats.load(JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null'));
+} catch (err) {
+    console.warn('[SponsorBlock] Statistics read failed:', err);
+}
+
+function persistStats() {
+    if (persistTimeout) return;
+
+    persistTimeout = setTimeout(() => {
+        persistTimeout = null;
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stats.serialize()));
+        } catch (err) {
+            console.warn('[SponsorBlock] Statistics write failed:', err);
+        }
+    }, PERSIST_DELAY_MS);
+}
+
+// seconds is the time actually jumped over, which is less than the segment when it started
+// partway through.
+export function recordSkip(videoID, segment, seconds) {
+    stats.record({
+        category: segment.category,
+        duration: seconds,
+        channel: getVideoChannel(videoID)
+    });
+    persistStats();
+}
+
+// Undoes count skips of a segment totalling seconds, when it is unskipped.
+export function forgetSkip(videoID, segment, seconds, count) {
+    stats.remove({
+        category: segment.category,
+        duration: seconds,
+        channel: getVideoChannel(videoID),
+        count
+    });
+    persistStats();
+}
+
+export function getSkipStats() {
+    return stats.summary(TOP_CHANNELS);
+}
+
+export function clearSkipStats() {
+    stats.clear();
+    persistStats();
+}
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SkipStats, formatTimeSaved } from './sponsorblockStatsCore.js';
+
+test('SkipStats sums time saved per category and channel', () => {
+    const stats = new SkipStats({ maxChannels: 10 });
+    const channel = { id: 'UC1', name: 'One' };
+    stats.record({ category: 'sponsor', duration: 60, channel });
+    stats.record({ category: 'sponsor', duration: 30, channel: { id: 'UC2', name: 'Two' } });
+    stats.record({ category: 'intro', duration: 10, channel });
+    stats.record({ category: 'intro', duration: 0, channel });
+
+    const summary = stats.summary(5);
+    assert.equal(summary.count, 3);
+    assert.equal(summary.seconds, 100);
+    assert.deepEqual(summary.categories, [
+        { category: 'sponsor', count: 2, seconds: 90 },
+        { category: 'intro', count: 1, seconds: 10 }
+    ]);
+    assert.deepEqual(summary.channels.map(entry => [entry.name, entry.seconds]), [['One', 70], ['Two', 30]]);
+    assert.equal(stats.summary(1).channels.length, 1);
+});
+
+test('SkipStats keeps the channels with the most time saved', () => {
+    const stats = new SkipStats({ maxChannels: 2 });
+    stats.record({ category: 'sponsor', duration: 50, channel: { id: 'UC1', name: 'One' } });
+    stats.record({ category: 'sponsor', duration: 10, channel: { id: 'UC2', name: 'Two' } });
+    stats.record({ category: 'sponsor', duration: 30, channel: { id: 'UC3', name: 'Three' } });
+
+    assert.deepEqual(Object.keys(stats.channels).sort(), ['UC1', 'UC3']);
+    assert.equal(stats.summary(5).seconds, 90);
+});
+
+test('SkipStats survives serialization', () => {
+    const stats = new SkipStats({ maxChannels: 10 });
+    stats.record({ category: 'outro', duration: 20, channel: null });
+
+    const restored = new SkipStats({ maxChannels: 10 });
+    restored.load(JSON.parse(JSON.stringify(stats.serialize())));
+    assert.deepEqual(restored.summary(5), stats.summary(5));
+
+    restored.load(null);
+    assert.equal(restored.summary(5).count, 1);
+});
+
+test('formatTimeSaved picks the largest units', () => {
+    assert.equal(formatTimeSaved(4980), '1 h 23 min');
+    assert.equal(formatTimeSaved(83), '1 min 23 s');
+    assert.equal(formatTimeSaved(12.4), '12 s');
+});
+
+test('SkipStats removes undone skips without going negative', () => {
+    const stats = new SkipStats({ maxChannels: 10 });
+    const channel = { id: 'UC1', name: 'One' };
+    stats.record({ category: 'sponsor', duration: 40, channel });
+    stats.record({ category: 'sponsor', duration: 20, channel });
+    stats.remove({ category: 'sponsor', duration: 60, channel, count: 2 });
+    stats.remove({ category: 'intro', duration: 5, channel });
+
+    const summary = stats.summary(5);
+    assert.equal(summary.count, 0);
+    assert.equal(summary.seconds, 0);
+    assert.deepEqual(summary.categories, []);
+    assert.deepEqual(summary.channels, []);
+});
@@ -0,0 +1,109 @@
+// Time saved by SponsorBlock skips, in total, per category and per channel. Only the
+// `maxChannels` channels with the most time saved are kept.
+export class SkipStats {
+    constructor({ maxChannels }) {
+        this.maxChannels = maxChannels;
+        this.clear();
+    }
+
+    /**
+     * @param {object} skip
+     * @param {string} skip.category
+     * @param {number} skip.duration Seconds skipped.
+     * @param {{ id: string, name: string }|null} [skip.channel]
+     */
+    record({ category, duration, channel }) {
+        if (!(duration > 0)) return;
+
+        add(this.total, duration);
+        add(this.categories[category] || (this.categories[category] = { count: 0, seconds: 0 }), duration);
+
+        if (channel?.id) {
+            const entry = this.channels[channel.id] || (this.channels[channel.id] = { name: channel.name, count: 0, seconds: 0 });
+            entry.name = channel.name || entry.name;
+            add(entry, duration);
+            this.trimChannels();
+        }
+    }
+
+    /**
+     * Takes skips back out, after they were undone.
+     * @param {object} skip Same as for record, plus how many skips to remove.
+     * @param {number} [skip.count]
+     */
+    remove({ category, duration, channel, count = 1 }) {
+        if (!(duration > 0)) return;
+
+        subtract(this.total, duration, count);
+        if (this.categories[category] && !subtract(this.categories[category], duration, count)) delete this.categories[category];
+        if (channel?.id && this.channels[channel.id] && !subtract(this.channels[channel.id], duration, count)) delete this.channels[channel.id];
+    }
+
+    trimChannels() {
+        const ids = Object.keys(this.channels);
+        if (ids.length <= this.maxChannels) return;
+
+        ids.sort((a, b) => this.channels[b].seconds - this.channels[a].seconds);
+        for (const id of ids.slice(this.maxChannels)) delete this.channels[id];
+    }
+
+    /**
+     * @param {number} topChannels How many channels to list.
+     * @returns {{ count: number, seconds: number, categories: object[], channels: object[] }}
+     *   Categories and channels sorted by time saved, most first.
+     */
+    summary(topChannels) {
+        const bySeconds = (a, b) => b.seconds - a.seconds;
+        return {
+            count: this.total.count,
+            seconds: this.total.seconds,
+            categories: Object.keys(this.categories)
+                .map(category => ({ category, ...this.categories[category] }))
+                .sort(bySeconds),
+            channels: Object.keys(this.channels)
+                .map(id => ({ id, ...this.channels[id] }))
+                .sort(bySeconds)
+                .slice(0, topChannels)
+        };
+    }
+
+    clear() {
+        this.total = { count: 0, seconds: 0 };
+        this.categories = {};
+        this.channels = {};
+    }
+
+    serialize() {
+        return { total: this.total, categories: this.categories, channels: this.channels };
+    }
+
+    load(serialized) {
+        if (!serialized || typeof serialized !== 'object' || !serialized.total) return;
+
+        this.total = serialized.total;
+        this.categories = serialized.categories || {};
+        this.channels = serialized.channels || {};
+    }
+}
+
+function add(entry, duration) {
+    entry.count++;
+    entry.seconds += duration;
+}
+
+// Returns the skips left in the entry.
+function subtract(entry, duration, count) {
+    entry.count = Math.max(0, entry.count - count);
+    entry.seconds = entry.count ? Math.max(0, entry.seconds - duration) : 0;
+    return entry.count;
+}
+
+// 4980 -> "1 h 23 min", 83 -> "1 min 23 s"
+export function formatTimeSaved(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total % 3600 / 60);
+    if (hours) return `${hours} h ${minutes} min`;
+    if (minutes) return `${minutes} min ${total % 60} s`;
+    return `${total} s`;
+}
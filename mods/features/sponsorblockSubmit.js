@@ -0,0 +1,146 @@
+import { t } from 'i18next';
+import { showModal, showToast, buttonItem, overlayPanelItemListRenderer } from '../ui/ytUI.js';
+import { barTypes, forgetCachedSegments, getSponsorBlockAPI } from './sponsorblock.js';
+import { buildSubmission, formatTime, generateUserID, withTimeout } from './sponsorblockCore.js';
+
+const USER_ID_STORAGE_KEY = 'tizentube_sponsorblock_user_id';
+const SUBMIT_TIMEOUT_MS = 10000;
+
+// Segment being marked on the current video: { videoID, start, end }.
+let pending = null;
+
+export function getUserID() {
+    let userID = null;
+    try {
+        userID = window.localStorage.getItem(USER_ID_STORAGE_KEY);
+    } catch (e) { }
+
+    if (!userID) {
+        userID = generateUserID();
+        try {
+            window.localStorage.setItem(USER_ID_STORAGE_KEY, userID);
+        } catch (e) { }
+    }
+    return userID;
+}
+
+function clearPending() {
+    pending = null;
+    window.sponsorblock?.setPendingSegment(null, null);
+}
+
+// Bound to the yellow button while watching. The first press marks the start of the segment,
+// the second one its end and asks for the category.
+export function markSegmentBoundary() {
+    const handler = window.sponsorblock;
+    const video = document.querySelector('video');
+    if (!handler || !video) {
+        showToast('SponsorBlock', t('sponsorblock.submission.unavailable'));
+        return;
+    }
+
+    if (!pending || pending.videoID !== handler.videoID) {
+        pending = { videoID: handler.videoID, start: video.currentTime, end: null };
+        handler.setPendingSegment(pending.start, null);
+        showToast('SponsorBlock', t('sponsorblock.submission.startMarked', { time: formatTime(pending.start) }));
+        return;
+    }
+
+    pending.end = video.currentTime;
+    handler.setPendingSegment(pending.start, pending.end);
+    showCategoryPicker();
+}
+
+function showCategoryPicker() {
+    const from = formatTime(Math.min(pending.start, pending.end));
+    const to = formatTime(Math.max(pending.start, pending.end));
+
+    const buttons = Object.keys(barTypes).map((category) =>
+        buttonItem(
+            { title: barTypes[category].name },
+            null,
+            [
+                {
+                    signalAction: {
+                        signal: 'POPUP_BACK'
+                    }
+                },
+                {
+                    customAction: {
+                        action: 'SUBMIT_SPONSORBLOCK_SEGMENT',
+                        parameters: category
+                    }
+                }
+            ]
+        )
+    );
+
+    buttons.push(
+        buttonItem(
+            { title: t('sponsorblock.submission.cancel') },
+            null,
+            [
+                {
+                    signalAction: {
+                        signal: 'POPUP_BACK'
+                    }
+                },
+                {
+                    customAction: {
+                        action: 'CANCEL_SPONSORBLOCK_SEGMENT'
+                    }
+                }
+            ]
+        )
+    );
+
+    showModal(t('sponsorblock.submission.title', { from, to }), overlayPanelItemListRenderer(buttons), 'tt-sponsorblock-submit');
+}
+
+export async function submitPendingSegment(category) {
+    if (!pending || pending.end === null) return;
+
+    const segment = pending;
+    const handler = window.sponsorblock;
+    const video = document.querySelector('video');
+    clearPending();
+
+    let body;
+    try {
+        body = buildSubmission({
+            videoID: segment.videoID,
+            userID: getUserID(),
+            userAgent: 'TizenTube',
+            category,
+            start: segment.start,
+            end: segment.end,
+            videoDuration: video?.duration
+        });
+    } catch (err) {
+        showToast('SponsorBlock', t('sponsorblock.submission.tooShort'));
+        return;
+    }
+
+    try {
+        const resp = await withTimeout(fetch(`${getSponsorBlockAPI()}/skipSegments`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        }), SUBMIT_TIMEOUT_MS);
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    } catch (err) {
+        console.warn('SponsorBlock submission failed', err);
+        showToast('SponsorBlock', t('sponsorblock.submission.failed'));
+        return;
+    }
+
+    forgetCachedSegments(segment.videoID);
+    if (handler && handler.active && handler.videoID === segment.videoID) {
+        handler.addSegment({ segment: body.segments[0].segment, category, UUID: `submitted-${Date.now()}` });
+    }
+    showToast('SponsorBlock', t('sponsorblock.submission.submitted', { segment: barTypes[category]?.name || category }));
+}
+
+export function cancelPendingSegment() {
+    clearPending();
+}
@@ -0,0 +1,75 @@
+import { t } from 'i18next';
+import { showModal, showToast, buttonItem, overlayPanelItemListRenderer } from '../ui/ytUI.js';
+import { barTypes, forgetCachedSegments, getSponsorBlockAPI } from './sponsorblock.js';
+import { getUserID } from './sponsorblockSubmit.js';
+import { buildVoteQuery, withTimeout } from './sponsorblockCore.js';
+
+const VOTE_TIMEOUT_MS = 10000;
+
+const segmentName = category => barTypes[category]?.name || category;
+
+function voteButton(title, icon, vote) {
+    return buttonItem(
+        { title },
+        { icon },
+        [
+            {
+                signalAction: {
+                    signal: 'POPUP_BACK'
+                }
+            },
+            {
+                customAction: {
+                    action: 'VOTE_SPONSORBLOCK_SEGMENT',
+                    parameters: vote
+                }
+            }
+        ]
+    );
+}
+
+export function showVoteMenu({ UUID, category }) {
+    const buttons = [
+        voteButton(t('sponsorblock.voting.upvote'), 'LIKE', { UUID, type: 1 }),
+        voteButton(t('sponsorblock.voting.downvote'), 'DISLIKE', { UUID, type: 0 }),
+        buttonItem(
+            { title: t('sponsorblock.voting.changeCategory') },
+            { icon: 'SETTINGS', secondaryIcon: 'CHEVRON_RIGHT' },
+            [
+                {
+                    customAction: {
+                        action: 'SHOW_SPONSORBLOCK_CATEGORY_VOTE',
+                        parameters: { UUID, category }
+                    }
+                }
+            ]
+        )
+    ];
+
+    showModal(t('sponsorblock.voting.title', { segment: segmentName(category) }), overlayPanelItemListRenderer(buttons), 'tt-sponsorblock-vote');
+}
+
+export function showCategoryVoteMenu({ UUID, category }) {
+    const buttons = Object.keys(barTypes)
+        .filter(candidate => candidate !== category && candidate !== 'poi_highlight')
+        .map(candidate => voteButton(segmentName(candidate), 'CHEVRON_DOWN', { UUID, category: candidate }));
+
+    showModal(t('sponsorblock.voting.changeCategory'), overlayPanelItemListRenderer(buttons), 'tt-sponsorblock-category-vote');
+}
+
+export async function voteOnSegment(vote) {
+    try {
+        const resp = await withTimeout(fetch(`${getSponsorBlockAPI()}/voteOnSponsorTime?${buildVoteQuery({ ...vote, userID: getUserID() })}`, {
+            method: 'POST'
+        }), VOTE_TIMEOUT_MS);
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    } catch (err) {
+        console.warn('SponsorBlock vote failed', err);
+        showToast('SponsorBlock', t('sponsorblock.voting.failed'));
+        return;
+    }
+
+    // The cached segments still carry the old votes and category.
+    if (window.sponsorblock) forgetCachedSegments(window.sponsorblock.videoID);
+    showToast('SponsorBlock', t('sponsorblock.voting.voted'));
+}
@@ -0,0 +1,73 @@
+import { configRead, configWrite, configChangeEmitter } from '../config.js';
+import { compileTitleFilters, findMatchingTitleFilter, pageKeyFromHash } from './titleFilterCore.js';
+
+const TITLE_FILTERS_KEY = 'titleFilters';
+
+// Every page key a new filter starts out with, in the order the settings list them.
+export const TITLE_FILTER_PAGES = ['search', 'home', 'music', 'gaming', 'subscriptions', 'library', 'more'];
+
+let compiledFilters = [];
+// Tiles hidden since the app started, per filter pattern.
+const hiddenCounts = {};
+
+function loadFilters() {
+    compiledFilters = compileTitleFilters(configRead(TITLE_FILTERS_KEY));
+}
+
+export function getCurrentPage() {
+    return pageKeyFromHash(location.hash);
+}
+
+function readText(text) {
+    if (!text) return null;
+    if (text.simpleText !== undefined) return text.simpleText;
+    return text.runs ? text.runs.map(run => run.text).join('') : null;
+}
+
+export function isTileHiddenByTitleFilter(tileRenderer, page) {
+    if (!compiledFilters.length) return false;
+
+    const title = readText(tileRenderer.metadata?.tileMetadataRenderer?.title);
+    const filter = findMatchingTitleFilter(title, compiledFilters, page);
+    if (!filter) return false;
+
+    hiddenCounts[filter.pattern] = (hiddenCounts[filter.pattern] || 0) + 1;
+    return true;
+}
+
+export function getTitleFilterHiddenCount(pattern) {
+    return hiddenCounts[pattern] || 0;
+}
+
+export function getTitleFilters() {
+    return configRead(TITLE_FILTERS_KEY);
+}
+
+export function addTitleFilter(pattern) {
+    const text = String(pattern || '').trim();
+    if (!text) return false;
+
+    const filters = getTitleFilters();
+    if (filters.some(filter => filter.pattern === text)) return false;
+
+    configWrite(TITLE_FILTERS_KEY, filters.concat({ pattern: text, pages: TITLE_FILTER_PAGES.slice() }));
+    return true;
+}
+
+export function removeTitleFilter(index) {
+    configWrite(TITLE_FILTERS_KEY, getTitleFilters().filter((_, i) => i !== index));
+}
+
+export function toggleTitleFilterPage(index, page) {
+    configWrite(TITLE_FILTERS_KEY, getTitleFilters().map((filter, i) => {
+        if (i !== index) return filter;
+        const pages = filter.pages.includes(page) ? filter.pages.filter(p => p !== page) : filter.pages.concat(page);
+        return { pattern: filter.pattern, pages };
+    }));
+}
+
+configChangeEmitter.addEventListener('configChange', (event) => {
+    if (event.detail?.key === TITLE_FILTERS_KEY) loadFilters();
+});
+
+loadFilters();
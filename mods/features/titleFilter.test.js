@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compileTitleFilters, compileTitlePattern, findMatchingTitleFilter, pageKeyFromHash } from './titleFilterCore.js';
+
+test('pageKeyFromHash uses the hideWatchedVideosPages keys', () => {
+    assert.equal(pageKeyFromHash('#/'), 'home');
+    assert.equal(pageKeyFromHash('#/search?q=cats'), 'search');
+    assert.equal(pageKeyFromHash('#/browse?c=FEsubscriptions'), 'subscriptions');
+    assert.equal(pageKeyFromHash('#/browse?c=FEtopics_music'), 'music');
+    assert.equal(pageKeyFromHash('#/browse?c=UCabcdefghijklmnopqrstuv'), 'channel');
+    assert.equal(pageKeyFromHash('#/watch?v=abc'), 'abc');
+});
+
+test('compileTitlePattern is case-insensitive and falls back to keywords', () => {
+    assert.equal(compileTitlePattern('reaction|prank').test('Best PRANK ever'), true);
+    assert.equal(compileTitlePattern('(unclosed').test('An (unclosed bracket'), true);
+    assert.equal(compileTitlePattern('(unclosed').test('unclosed'), false);
+});
+
+test('findMatchingTitleFilter only applies filters on their pages', () => {
+    const filters = compileTitleFilters([
+        { pattern: 'reaction|prank', pages: ['home'] },
+        { pattern: '', pages: ['home'] },
+        { pattern: 'trailer', pages: ['search', 'home'] }
+    ]);
+
+    assert.equal(filters.length, 2);
+    assert.equal(findMatchingTitleFilter('My reaction to this', filters, 'home').pattern, 'reaction|prank');
+    assert.equal(findMatchingTitleFilter('My reaction to this', filters, 'search'), null);
+    assert.equal(findMatchingTitleFilter('Official Trailer', filters, 'search').pattern, 'trailer');
+    assert.equal(findMatchingTitleFilter(null, filters, 'home'), null);
+});
@@ -0,0 +1,43 @@
+// Page keys shared with hideWatchedVideosPages: 'home', 'search', 'channel', or the browse id
+// without its FE / FEtopics_ prefix ('subscriptions', 'music', 'gaming', ...).
+export function pageKeyFromHash(hash) {
+    const route = hash.startsWith('#') ? hash.substring(1) : hash;
+    if (route === '/') return 'home';
+    if (route.startsWith('/search')) return 'search';
+
+    const browseId = route.split('?')[1]?.split('&')[0]?.split('=')[1];
+    if (browseId?.startsWith('UC')) return 'channel';
+    return browseId?.replace('FE', '')?.replace('topics_', '') ?? '';
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Patterns are case-insensitive regular expressions. Anything that does not compile is
+// matched as a plain keyword instead.
+export function compileTitlePattern(pattern) {
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (err) {
+        return new RegExp(escapeRegExp(pattern), 'i');
+    }
+}
+
+/**
+ * @param {{ pattern: string, pages: string[] }[]} filters
+ * @returns {{ pattern: string, pages: string[], regex: RegExp }[]}
+ */
+export function compileTitleFilters(filters) {
+    return filters
+        .filter(filter => filter && typeof filter.pattern === 'string' && filter.pattern.trim())
+        .map(filter => ({
+            pattern: filter.pattern,
+            pages: Array.isArray(filter.pages) ? filter.pages : [],
+            regex: compileTitlePattern(filter.pattern)
+        }));
+}
+
+// Returns the first compiled filter that hides the title on the given page, or null.
+export function findMatchingTitleFilter(title, compiledFilters, page) {
+    if (!title) return null;
+    return compiledFilters.find(filter => filter.pages.includes(page) && filter.regex.test(title)) || null;
+}
@@ -0,0 +1,21 @@
+import { registerResponseProcessor } from '../responsePipeline.js';
+
+// Channel of the recently played videos, from their player responses.
+const MAX_KNOWN_VIDEOS = 20;
+const videoChannels = new Map();
+
+export function getVideoChannel(videoID) {
+    return videoChannels.get(videoID) || null;
+}
+
+registerResponseProcessor('videoChannel', {
+    priority: 5,
+    types: ['player'],
+    match: r => Boolean(r.videoDetails?.videoId && r.videoDetails.channelId),
+    process(r) {
+        const { videoId, channelId, author } = r.videoDetails;
+        videoChannels.delete(videoId);
+        videoChannels.set(videoId, { id: channelId, name: author || channelId });
+        if (videoChannels.size > MAX_KNOWN_VIDEOS) videoChannels.delete(videoChannels.keys().next().value);
+    }
+});
@@ -0,0 +1,131 @@
+import { t } from 'i18next';
+import { configRead } from '../config.js';
+import { showModal, showToast, buttonItem, overlayPanelItemListRenderer } from '../ui/ytUI.js';
+import { cycleRepeatMode, moveQueuedVideo, removeQueuedVideo, shuffleQueuedVideos } from './videoQueuing.js';
+import { queuedVideoId, queuedVideoTitle } from './videoQueuingCore.js';
+
+const queueAction = (action, parameters) => ({
+    customAction: {
+        action,
+        parameters
+    }
+});
+
+/**
+ * Lists the queued videos with the queue-wide actions first. Selecting a video opens its own
+ * actions, which come back to this list once done.
+ * @param {number} [selectedIndex] Index of the video to focus.
+ * @param {boolean} [update] Replaces the open modal instead of opening a new one.
+ */
+export function showQueueManager(selectedIndex, update) {
+    const { videos, lastVideoId } = window.queuedVideos;
+    const repeatMode = configRead('queueRepeatMode');
+
+    const buttons = [
+        buttonItem(
+            { title: t('videoQueue.manager.repeat'), subtitle: t(`videoQueue.manager.repeatModes.${repeatMode}`) },
+            { icon: 'SEARCH_HISTORY' },
+            [queueAction('CYCLE_QUEUE_REPEAT')]
+        ),
+        buttonItem(
+            { title: t('videoQueue.manager.shuffle') },
+            { icon: 'SPARK' },
+            [queueAction('SHUFFLE_QUEUE')]
+        ),
+        buttonItem(
+            { title: t('videoQueue.manager.clear') },
+            { icon: 'CLEAR_COOKIES' },
+            [
+                {
+                    signalAction: {
+                        signal: 'POPUP_BACK'
+                    }
+                },
+                {
+                    customAction: {
+                        action: 'CLEAR_QUEUE'
+                    }
+                }
+            ]
+        )
+    ];
+    const headerCount = buttons.length;
+
+    videos.forEach((item, index) => {
+        const playing = queuedVideoId(item) === lastVideoId;
+        buttons.push(buttonItem(
+            {
+                title: `${index + 1}. ${queuedVideoTitle(item)}`,
+                subtitle: playing ? t('videoQueue.manager.playing') : undefined
+            },
+            { icon: playing ? 'PLAY_CIRCLE' : 'MENU' },
+            [queueAction('SHOW_QUEUE_ITEM', index)]
+        ));
+    });
+
+    if (!videos.length) {
+        buttons.push(buttonItem({ title: t('videoQueue.manager.empty') }, { icon: 'HELP' }, []));
+    }
+
+    const focused = selectedIndex === undefined ? 0 : headerCount + Math.min(selectedIndex, Math.max(0, videos.length - 1));
+    showModal(
+        t('videoQueue.manager.title'),
+        overlayPanelItemListRenderer(buttons, focused),
+        'tt-queue-manager',
+        update
+    );
+}
+
+export function showQueueItemMenu(index) {
+    const item = window.queuedVideos.videos[index];
+    if (!item) return showQueueManager(index, true);
+
+    const buttons = [
+        buttonItem(
+            { title: t('videoQueue.manager.play') },
+            { icon: 'PLAY_CIRCLE' },
+            [
+                {
+                    signalAction: {
+                        signal: 'POPUP_BACK'
+                    }
+                },
+                queueAction('PLAY_QUEUED_VIDEO', index)
+            ]
+        )
+    ];
+    if (index > 0) {
+        buttons.push(buttonItem({ title: t('videoQueue.manager.moveUp') }, null, [queueAction('MOVE_QUEUED_VIDEO', { index, delta: -1 })]));
+    }
+    if (index < window.queuedVideos.videos.length - 1) {
+        buttons.push(buttonItem({ title: t('videoQueue.manager.moveDown') }, null, [queueAction('MOVE_QUEUED_VIDEO', { index, delta: 1 })]));
+    }
+    buttons.push(
+        buttonItem({ title: t('videoQueue.manager.remove') }, { icon: 'CLEAR_COOKIES' }, [queueAction('REMOVE_QUEUED_VIDEO', index)]),
+        buttonItem({ title: t('videoQueue.manager.back') }, { icon: 'MENU' }, [queueAction('SHOW_QUEUE_MANAGER', index)])
+    );
+
+    showModal({ title: queuedVideoTitle(item), subtitle: t('videoQueue.manager.position', { position: index + 1, total: window.queuedVideos.videos.length }) },
+        overlayPanelItemListRenderer(buttons), 'tt-queue-manager', true);
+}
+
+export function cycleQueueRepeat() {
+    const mode = cycleRepeatMode();
+    showToast('TizenTube', t('videoQueue.manager.repeatChanged', { mode: t(`videoQueue.manager.repeatModes.${mode}`) }));
+    showQueueManager(undefined, true);
+}
+
+export function shuffleManagedQueue() {
+    shuffleQueuedVideos();
+    showQueueManager(0, true);
+}
+
+export function moveManagedVideo({ index, delta }) {
+    moveQueuedVideo(index, delta);
+    showQueueItemMenu(Math.min(window.queuedVideos.videos.length - 1, Math.max(0, index + delta)));
+}
+
+export function removeManagedVideo(index) {
+    removeQueuedVideo(index);
+    showQueueManager(index, true);
+}
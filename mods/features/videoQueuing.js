@@ -4,6 +4,145 @@ window.queuedVideos = {
 };
 
 import resolveCommand from '../resolveCommand.js';
+import { t } from 'i18next';
+import { buttonItem, showModal, showToast, overlayPanelItemListRenderer } from '../ui/ytUI.js';
+import { configRead, configWrite } from '../config.js';
+import { REPEAT_MODES, nextQueueIndex, queuedVideoId, restoreQueue, resumeIndex, serializeQueue, shuffleQueue } from './videoQueuingCore.js';
+import { moveItem } from '../utils/array.js';
+
+// The queue survives restarts and the reload done by userAgentSpoofing.js, and is offered again
+// on the next launch.
+const STORAGE_KEY = 'tizentube_video_queue';
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+// After the update check, so both pop-ups do not open at once.
+const RESUME_PROMPT_DELAY_MS = 5000;
+
+let savedQueue = null;
+try {
+    savedQueue = restoreQueue(JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null'), Date.now(), MAX_AGE_MS);
+} catch (err) {
+    console.warn('[VideoQueue] Queue read failed:', err);
+}
+
+function persistQueue() {
+    try {
+        if (window.queuedVideos.videos.length) {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(serializeQueue(window.queuedVideos, Date.now())));
+        } else {
+            window.localStorage.removeItem(STORAGE_KEY);
+        }
+    } catch (err) {
+        console.warn('[VideoQueue] Queue write failed:', err);
+    }
+}
+
+export function addToQueue(...items) {
+    // A queue left from the last launch is replaced once a new one is started.
+    savedQueue = null;
+    window.queuedVideos.videos.push(...items);
+    persistQueue();
+}
+
+export function clearQueue() {
+    savedQueue = null;
+    window.queuedVideos.videos = [];
+    window.queuedVideos.lastVideoId = null;
+    persistQueue();
+}
+
+export function moveQueuedVideo(index, delta) {
+    window.queuedVideos.videos = moveItem(window.queuedVideos.videos, index, delta);
+    persistQueue();
+}
+
+export function removeQueuedVideo(index) {
+    const [removed] = window.queuedVideos.videos.splice(index, 1);
+    // Removing the video being played: the queue goes on with the one that took its place.
+    if (removed && queuedVideoId(removed) === window.queuedVideos.lastVideoId) {
+        window.queuedVideos.lastVideoId = index > 0 ? queuedVideoId(window.queuedVideos.videos[index - 1]) : null;
+    }
+    persistQueue();
+}
+
+export function shuffleQueuedVideos() {
+    window.queuedVideos.videos = shuffleQueue(window.queuedVideos.videos, window.queuedVideos.lastVideoId);
+    persistQueue();
+}
+
+export function playQueuedVideo(index) {
+    const item = window.queuedVideos.videos[index];
+    if (item) resolveCommand(item.tileRenderer.onSelectCommand);
+}
+
+export function cycleRepeatMode() {
+    const mode = REPEAT_MODES[(REPEAT_MODES.indexOf(configRead('queueRepeatMode')) + 1) % REPEAT_MODES.length];
+    configWrite('queueRepeatMode', mode);
+    return mode;
+}
+
+export function resumeSavedQueue() {
+    if (!savedQueue) return;
+    window.queuedVideos.videos = savedQueue.videos;
+    window.queuedVideos.lastVideoId = savedQueue.lastVideoId;
+    const item = savedQueue.videos[resumeIndex(savedQueue)];
+    savedQueue = null;
+    resolveCommand(item.tileRenderer.onSelectCommand);
+}
+
+export function discardSavedQueue() {
+    savedQueue = null;
+    if (!window.queuedVideos.videos.length) persistQueue();
+    showToast('TizenTube', t('videoQueue.discarded'));
+}
+
+function showResumePrompt() {
+    if (!savedQueue || window.queuedVideos.videos.length) return;
+
+    const buttons = [
+        buttonItem(
+            { title: t('videoQueue.resume.title'), subtitle: t('videoQueue.resume.subtitle') },
+            { icon: 'PLAY_CIRCLE' },
+            [
+                {
+                    signalAction: {
+                        signal: 'POPUP_BACK'
+                    }
+                },
+                {
+                    customAction: {
+                        action: 'RESUME_QUEUE'
+                    }
+                }
+            ]
+        ),
+        buttonItem(
+            { title: t('videoQueue.discard') },
+            { icon: 'CLEAR_COOKIES' },
+            [
+                {
+                    signalAction: {
+                        signal: 'POPUP_BACK'
+                    }
+                },
+                {
+                    customAction: {
+                        action: 'DISCARD_SAVED_QUEUE'
+                    }
+                }
+            ]
+        )
+    ];
+
+    showModal(
+        {
+            title: t('videoQueue.prompt.title'),
+            subtitle: t('videoQueue.prompt.subtitle', { count: savedQueue.videos.length })
+        },
+        overlayPanelItemListRenderer(buttons),
+        'tt-queue-resume',
+        false
+    );
+}
 
 function addListener() {
     const videoPlayer = document.querySelector('.html5-video-player');
@@ -14,42 +153,26 @@ function addListener() {
         const videoData = videoPlayer.getVideoData();
         if (window.queuedVideos.videos.length === 0) return;
         if (playerStateObject.isEnded) {
-            const index = window.queuedVideos.videos.findIndex(v => v.tileRenderer.contentId === videoData.video_id);
-            if (index !== -1) {
-                if (index + 1 >= window.queuedVideos.videos.length) {
-                    resolveCommand({
-                        customAction: {
-                            action: 'CLEAR_QUEUE'
-                        }
-                    });
-                    return;
-                }
-                const videoWatchEndpoint = window.queuedVideos.videos[index + 1].tileRenderer.onSelectCommand;
-                setTimeout(() => resolveCommand(videoWatchEndpoint), 500);
-            } else if (window.queuedVideos.lastVideoId) {
-                const lastIndex = window.queuedVideos.videos.findIndex(v => v.tileRenderer.contentId === window.queuedVideos.lastVideoId);
-                if (lastIndex !== -1 && lastIndex + 1 < window.queuedVideos.videos.length) {
-                    const videoWatchEndpoint = window.queuedVideos.videos[lastIndex + 1].tileRenderer.onSelectCommand;
-                    setTimeout(() => resolveCommand(videoWatchEndpoint), 500);
-                } else {
-                    resolveCommand({
-                        customAction: {
-                            action: 'CLEAR_QUEUE'
-                        }
-                    });
-                    return;
-                }
-            } else {
-                const videoWatchEndpoint = window.queuedVideos.videos[0].tileRenderer.onSelectCommand;
-                setTimeout(() => resolveCommand(videoWatchEndpoint), 500);
+            const index = nextQueueIndex(window.queuedVideos, videoData.video_id, configRead('queueRepeatMode'));
+            if (index === -1) {
+                resolveCommand({
+                    customAction: {
+                        action: 'CLEAR_QUEUE'
+                    }
+                });
+                return;
             }
+            const videoWatchEndpoint = window.queuedVideos.videos[index].tileRenderer.onSelectCommand;
+            setTimeout(() => resolveCommand(videoWatchEndpoint), 500);
         } else if (playerStateObject.isPlaying) {
             document.getElementById('container').style.setProperty('opacity', '1', 'important');
-            if (window.queuedVideos.videos.find(v => v.contentId === videoData.video_id)) {
+            if (window.queuedVideos.lastVideoId !== videoData.video_id && window.queuedVideos.videos.find(v => queuedVideoId(v) === videoData.video_id)) {
                 window.queuedVideos.lastVideoId = videoData.video_id;
+                persistQueue();
             }
         }
     });
 }
 
-addListener();
\ No newline at end of file
+addListener();
+setTimeout(showResumePrompt, RESUME_PROMPT_DELAY_MS);
\ No newline at end of file
@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { collectionBrowseId, collectVideoTiles, compactQueueTile, findContinuationToken, newQueueVideos, nextQueueIndex, queuedVideoTitle, restoreQueue, resumeIndex, serializeQueue, shuffleQueue } from './videoQueuingCore.js';
+
+const tile = id => ({ tileRenderer: { contentId: id, contentType: 'TILE_CONTENT_TYPE_VIDEO', onSelectCommand: { watchEndpoint: { videoId: id } } } });
+const DAY = 24 * 60 * 60 * 1000;
+const ids = videos => videos.map(item => item.tileRenderer.contentId);
+
+test('restoreQueue round-trips a serialized queue with its position', () => {
+    const stored = JSON.parse(JSON.stringify(serializeQueue({ videos: [tile('a'), tile('b')], lastVideoId: 'b' }, 1000)));
+    const queue = restoreQueue(stored, 2000, DAY);
+
+    assert.deepEqual(ids(queue.videos), ['a', 'b']);
+    assert.equal(queue.lastVideoId, 'b');
+    assert.equal(resumeIndex(queue), 1);
+});
+
+test('restoreQueue drops unplayable entries and stale positions', () => {
+    const queue = restoreQueue({ videos: [{ tileRenderer: { contentId: 'x' } }, tile('a')], lastVideoId: 'x', savedAt: 0 }, 0, DAY);
+
+    assert.equal(queue.videos.length, 1);
+    assert.equal(queue.lastVideoId, null);
+    assert.equal(resumeIndex(queue), 0);
+});
+
+test('restoreQueue ignores empty, malformed and expired queues', () => {
+    assert.equal(restoreQueue(null, 0, DAY), null);
+    assert.equal(restoreQueue({ videos: 'a' }, 0, DAY), null);
+    assert.equal(restoreQueue({ videos: [], savedAt: 0 }, 0, DAY), null);
+    assert.equal(restoreQueue({ videos: [tile('a')], savedAt: 0 }, 2 * DAY, DAY), null);
+    assert.equal(restoreQueue({ videos: [tile('a')] }, 0, DAY), null);
+});
+
+test('nextQueueIndex follows the repeat mode', () => {
+    const queue = { videos: [tile('a'), tile('b')], lastVideoId: 'b' };
+
+    assert.equal(nextQueueIndex(queue, 'a', 'off'), 1);
+    assert.equal(nextQueueIndex(queue, 'b', 'off'), -1);
+    assert.equal(nextQueueIndex(queue, 'b', 'all'), 0);
+    assert.equal(nextQueueIndex(queue, 'b', 'one'), 1);
+});
+
+test('nextQueueIndex continues after the last queued video when another one ended', () => {
+    const queue = { videos: [tile('a'), tile('b')], lastVideoId: 'a' };
+
+    assert.equal(nextQueueIndex(queue, 'x', 'one'), 1);
+    assert.equal(nextQueueIndex({ ...queue, lastVideoId: null }, 'x', 'off'), 0);
+    assert.equal(nextQueueIndex({ ...queue, lastVideoId: 'gone' }, 'x', 'all'), -1);
+});
+
+test('shuffleQueue keeps the current video first and every video once', () => {
+    const videos = [tile('a'), tile('b'), tile('c'), tile('d')];
+    const shuffled = shuffleQueue(videos, 'c', () => 0);
+
+    assert.equal(shuffled[0].tileRenderer.contentId, 'c');
+    assert.deepEqual(ids(shuffled).sort(), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(ids(shuffled), ['c', 'b', 'd', 'a']);
+});
+
+test('queuedVideoTitle reads simple and run titles', () => {
+    const titled = title => ({ tileRenderer: { contentId: 'a', metadata: { tileMetadataRenderer: { title } } } });
+
+    assert.equal(queuedVideoTitle(titled({ simpleText: 'One' })), 'One');
+    assert.equal(queuedVideoTitle(titled({ runs: [{ text: 'Tw' }, { text: 'o' }] })), 'Two');
+    assert.equal(queuedVideoTitle(tile('a')), 'a');
+});
+
+test('collectionBrowseId maps playlist and channel tiles to a browse id', () => {
+    assert.equal(collectionBrowseId({ onSelectCommand: { browseEndpoint: { browseId: 'VLPL123' } } }), 'VLPL123');
+    assert.equal(collectionBrowseId({ onSelectCommand: { browseEndpoint: { browseId: 'UCabc' } } }), 'VLUUabc');
+    assert.equal(collectionBrowseId({ contentType: 'TILE_CONTENT_TYPE_PLAYLIST', onSelectCommand: { watchEndpoint: { videoId: 'a', playlistId: 'PL1' } } }), 'VLPL1');
+    assert.equal(collectionBrowseId({ contentType: 'TILE_CONTENT_TYPE_VIDEO', onSelectCommand: { watchEndpoint: { videoId: 'a', playlistId: 'RD1' } } }), null);
+    assert.equal(collectionBrowseId(tile('a').tileRenderer), null);
+});
+
+test('collectVideoTiles and findContinuationToken read browse and continuation pages', () => {
+    const page = {
+        contents: {
+            tvBrowseRenderer: {
+                content: {
+                    gridRenderer: {
+                        items: [tile('a'), { tileRenderer: { contentId: 'PL', contentType: 'TILE_CONTENT_TYPE_PLAYLIST' } }, tile('b')],
+                        continuations: [{ nextContinuationData: { continuation: 'next' } }]
+                    }
+                }
+            }
+        }
+    };
+    const continuation = { continuationContents: { gridContinuation: { items: [tile('c')] } } };
+
+    assert.deepEqual(ids(collectVideoTiles(page)), ['a', 'b']);
+    assert.equal(findContinuationToken(page), 'next');
+    assert.deepEqual(ids(collectVideoTiles(continuation)), ['c']);
+    assert.equal(findContinuationToken(continuation), null);
+    assert.equal(findContinuationToken({ items: [{ continuationItemRenderer: { continuationEndpoint: { continuationCommand: { token: 't' } } } }] }), 't');
+});
+
+test('newQueueVideos skips queued and repeated videos up to the limit', () => {
+    const added = newQueueVideos([tile('a')], [tile('a'), tile('b'), tile('b'), tile('c'), tile('d')], 2);
+    assert.deepEqual(ids(added), ['b', 'c']);
+});
+
+test('compactQueueTile keeps what the queue needs', () => {
+    const full = tile('a');
+    full.tileRenderer.metadata = { tileMetadataRenderer: { title: { simpleText: 'One' }, lines: [{}] } };
+    full.tileRenderer.onLongPressCommand = { showMenuCommand: {} };
+    const compact = compactQueueTile(full);
+
+    assert.equal(compact.tileRenderer.contentId, 'a');
+    assert.equal(queuedVideoTitle(compact), 'One');
+    assert.equal(compact.tileRenderer.onSelectCommand, full.tileRenderer.onSelectCommand);
+    assert.equal(compact.tileRenderer.onLongPressCommand, undefined);
+    assert.deepEqual(restoreQueue({ videos: [compact], savedAt: 0 }, 0, DAY).videos, [compact]);
+});
@@ -0,0 +1,194 @@
+// Queued videos are tile renderers copied from the responses, identified by their contentId.
+export const queuedVideoId = item => item?.tileRenderer?.contentId || null;
+
+const isPlayable = item => Boolean(queuedVideoId(item) && item.tileRenderer.onSelectCommand);
+
+export function serializeQueue(queue, now) {
+    return {
+        videos: queue.videos,
+        lastVideoId: queue.lastVideoId,
+        savedAt: now
+    };
+}
+
+/**
+ * Reads a queue saved by serializeQueue. Entries that cannot be played are dropped, and so is a
+ * position pointing to a video that is no longer queued.
+ * @param {object} stored Parsed storage value.
+ * @param {number} now
+ * @param {number} maxAgeMs Older queues are not offered again.
+ * @returns {{ videos: object[], lastVideoId: string|null }|null} null when nothing is left to resume.
+ */
+export function restoreQueue(stored, now, maxAgeMs) {
+    if (!stored || !Array.isArray(stored.videos)) return null;
+    if (!(now - stored.savedAt < maxAgeMs)) return null;
+
+    const videos = stored.videos.filter(isPlayable);
+    if (!videos.length) return null;
+
+    const lastVideoId = videos.some(item => queuedVideoId(item) === stored.lastVideoId) ? stored.lastVideoId : null;
+    return { videos, lastVideoId };
+}
+
+// Index of the video to play when resuming: the one that was playing, else the first.
+export function resumeIndex(queue) {
+    return Math.max(0, queue.videos.findIndex(item => queuedVideoId(item) === queue.lastVideoId));
+}
+
+export function queuedVideoTitle(item) {
+    const title = item?.tileRenderer?.metadata?.tileMetadataRenderer?.title;
+    if (title?.simpleText !== undefined) return title.simpleText;
+    if (title?.runs) return title.runs.map(run => run.text).join('');
+    return queuedVideoId(item);
+}
+
+// 'all' starts the queue over after its last video, 'one' plays the same video again.
+export const REPEAT_MODES = ['off', 'all', 'one'];
+
+/**
+ * Index of the video to play once a video ends.
+ * @param {{ videos: object[], lastVideoId: string|null }} queue
+ * @param {string} endedId Video that just ended, which may not be in the queue.
+ * @param {string} repeatMode One of REPEAT_MODES.
+ * @returns {number} -1 when the queue is done.
+ */
+export function nextQueueIndex(queue, endedId, repeatMode) {
+    const indexOf = id => queue.videos.findIndex(item => queuedVideoId(item) === id);
+    let index = indexOf(endedId);
+    if (index !== -1 && repeatMode === 'one') return index;
+
+    // A video from outside the queue ended: start the queue, or go on after the last queued
+    // video played.
+    if (index === -1) {
+        if (!queue.lastVideoId) return queue.videos.length ? 0 : -1;
+        index = indexOf(queue.lastVideoId);
+        if (index === -1) return -1;
+    }
+
+    if (index + 1 < queue.videos.length) return index + 1;
+    return repeatMode === 'all' ? 0 : -1;
+}
+
+/**
+ * Shuffled copy of the list. The video being played goes first so the queue goes on with
+ * the shuffled rest.
+ * @param {object[]} videos
+ * @param {string|null} currentId
+ * @param {function(): number} [random]
+ * @returns {object[]}
+ */
+export function shuffleQueue(videos, currentId, random = Math.random) {
+    const current = videos.filter(item => queuedVideoId(item) === currentId);
+    const rest = videos.filter(item => queuedVideoId(item) !== currentId);
+    for (let i = rest.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [rest[i], rest[j]] = [rest[j], rest[i]];
+    }
+    return current.concat(rest);
+}
+
+/**
+ * Browse id listing the videos of a playlist or channel tile. Channels are read through their
+ * uploads playlist, whose id is the channel id with UU instead of UC.
+ * @param {object} tileRenderer
+ * @returns {string|null} null for tiles of a single video.
+ */
+export function collectionBrowseId(tileRenderer) {
+    const command = tileRenderer?.onSelectCommand;
+    const browseId = command?.browseEndpoint?.browseId;
+    if (browseId?.startsWith('VL')) return browseId;
+    if (browseId?.startsWith('UC')) return `VLUU${browseId.substring(2)}`;
+
+    const playlistId = command?.watchPlaylistEndpoint?.playlistId
+        || (tileRenderer.contentType === 'TILE_CONTENT_TYPE_PLAYLIST' ? command?.watchEndpoint?.playlistId : null);
+    return playlistId ? `VL${playlistId}` : null;
+}
+
+// Walks a response without recursion, calling visit with every object. Returning true from
+// visit skips the children of that object.
+function walk(node, visit) {
+    const stack = [node];
+    while (stack.length) {
+        const current = stack.pop();
+        if (!current || typeof current !== 'object') continue;
+        if (!Array.isArray(current) && visit(current)) continue;
+        const children = Array.isArray(current) ? current : Object.keys(current).map(key => current[key]);
+        for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+    }
+}
+
+// Video tiles of a browse or continuation response, in page order.
+export function collectVideoTiles(response) {
+    const tiles = [];
+    walk(response, (node) => {
+        if (!node.tileRenderer) return false;
+        if (node.tileRenderer.contentType === 'TILE_CONTENT_TYPE_VIDEO' && queuedVideoId(node) && node.tileRenderer.onSelectCommand?.watchEndpoint) {
+            tiles.push(node);
+        }
+        return true;
+    });
+    return tiles;
+}
+
+// Token of the next page of a list, from its first continuation.
+export function findContinuationToken(response) {
+    let token = null;
+    walk(response, (node) => {
+        if (token) return true;
+        token = node.nextContinuationData?.continuation || node.continuationCommand?.token || null;
+        return Boolean(token);
+    });
+    return token;
+}
+
+/**
+ * Videos to append to a queue: in order, without those already queued or listed twice.
+ * @param {object[]} queued
+ * @param {object[]} tiles
+ * @param {number} limit Most videos to return.
+ * @returns {object[]}
+ */
+export function newQueueVideos(queued, tiles, limit) {
+    const seen = new Set(queued.map(queuedVideoId));
+    const result = [];
+    for (const tile of tiles) {
+        const id = queuedVideoId(tile);
+        if (seen.has(id)) continue;
+        seen.add(id);
+        result.push(tile);
+        if (result.length >= limit) break;
+    }
+    return result;
+}
+
+/**
+ * Smallest tile that can be queued, played and shown on the queue shelf: the id, the title and
+ * the select command of a video tile, with its thumbnail taken from the video id.
+ * @param {object} tile
+ * @returns {object}
+ */
+export function compactQueueTile(tile) {
+    const id = queuedVideoId(tile);
+    return {
+        tileRenderer: {
+            contentId: id,
+            contentType: 'TILE_CONTENT_TYPE_VIDEO',
+            style: 'TILE_STYLE_YTLR_DEFAULT',
+            onSelectCommand: tile.tileRenderer.onSelectCommand,
+            header: {
+                tileHeaderRenderer: {
+                    thumbnail: {
+                        thumbnails: [{ url: `https://i.ytimg.com/vi/${id}/hqdefault.jpg`, width: 480, height: 360 }]
+                    }
+                }
+            },
+            metadata: {
+                tileMetadataRenderer: {
+                    title: {
+                        simpleText: queuedVideoTitle(tile)
+                    }
+                }
+            }
+        }
+    };
+}
@@ -0,0 +1,104 @@
+import { configRead } from '../config.js';
+import { WatchHistory } from './watchHistoryCore.js';
+
+// Keeps track of watched videos for guests and accounts with YouTube history paused, who get
+// no resume bars on their tiles.
+
+const STORAGE_KEY = 'tizentube_watch_history';
+const MAX_ENTRIES = 2000;
+const RECORD_INTERVAL_MS = 5000;
+const PERSIST_DELAY_MS = 2000;
+const PLAYER_SELECTOR = '.html5-video-player';
+
+const history = new WatchHistory({ maxEntries: MAX_ENTRIES });
+let player = null;
+let attachTimeout = null;
+let persistTimeout = null;
+let lastRecord = 0;
+
+try {
+    history.load(JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]'));
+} catch (err) {
+    console.warn('[WatchHistory] History read failed:', err);
+}
+
+function persistHistory() {
+    if (persistTimeout) return;
+
+    persistTimeout = setTimeout(() => {
+        persistTimeout = null;
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(history.serialize()));
+        } catch (err) {
+            console.warn('[WatchHistory] History write failed:', err);
+        }
+    }, PERSIST_DELAY_MS);
+}
+
+export function getWatchedPercent(videoId, resumePercent) {
+    if (!configRead('enableLocalWatchHistory')) return resumePercent;
+    return history.watchedPercent(videoId, resumePercent);
+}
+
+export function markWatched(videoId, watched) {
+    history.mark(videoId, watched);
+    persistHistory();
+}
+
+export function clearWatchHistory() {
+    history.clear();
+    persistHistory();
+}
+
+// Inline previews on tiles play in the same player outside of the watch page, and must not count
+// as watching.
+const isWatching = () => location.hash.startsWith('#/watch');
+
+function recordProgress() {
+    if (!configRead('enableLocalWatchHistory') || !player || !isWatching()) return;
+
+    const video = player.querySelector('video');
+    const videoId = player.getVideoData?.()?.video_id;
+    if (!video || !videoId) return;
+
+    lastRecord = Date.now();
+    history.record(videoId, video.currentTime, video.duration);
+    persistHistory();
+}
+
+function onTimeUpdate(event) {
+    if (!player || event.target !== player.querySelector('video')) return;
+    if (Date.now() - lastRecord >= RECORD_INTERVAL_MS) recordProgress();
+}
+
+function onStateChange() {
+    const state = player.getPlayerStateObject?.();
+    if (state && (state.isEnded || !state.isPlaying)) recordProgress();
+}
+
+function attachToPlayer() {
+    clearTimeout(attachTimeout);
+
+    const currentPlayer = document.querySelector(PLAYER_SELECTOR);
+    if (!currentPlayer) {
+        attachTimeout = setTimeout(attachToPlayer, 250);
+        return;
+    }
+
+    if (player !== currentPlayer) {
+        if (player) player.removeEventListener('onStateChange', onStateChange);
+        player = currentPlayer;
+        player.addEventListener('onStateChange', onStateChange);
+    }
+}
+
+// timeupdate does not bubble, so it is caught on the way down.
+document.addEventListener('timeupdate', onTimeUpdate, true);
+// The player element can be replaced while navigating.
+window.addEventListener('hashchange', attachToPlayer, false);
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', attachToPlayer);
+} else {
+    attachToPlayer();
+}
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WatchHistory } from './watchHistoryCore.js';
+
+test('WatchHistory keeps the furthest recorded progress', () => {
+    const history = new WatchHistory({ maxEntries: 10, now: () => 0 });
+    history.record('a', 90, 100);
+    history.record('a', 10, 100);
+    history.record('b', 10, NaN);
+
+    assert.equal(history.watchedPercent('a', null), 90);
+    assert.equal(history.watchedPercent('b', null), null);
+    assert.equal(history.watchedPercent('a', 95), 95);
+});
+
+test('WatchHistory lets manual marks override resume bars', () => {
+    const history = new WatchHistory({ maxEntries: 10, now: () => 0 });
+    history.mark('a', false);
+    assert.equal(history.watchedPercent('a', 100), 0);
+
+    history.record('a', 30, 100);
+    assert.equal(history.watchedPercent('a', 100), 100);
+
+    history.mark('b', true);
+    assert.equal(history.watchedPercent('b', 20), 100);
+});
+
+test('WatchHistory is bounded and survives serialization', () => {
+    const history = new WatchHistory({ maxEntries: 2, now: () => 5 });
+    history.record('a', 1, 2);
+    history.record('b', 1, 2);
+    history.mark('c', true);
+
+    assert.deepEqual(history.serialize(), [['b', 50, 5, 0], ['c', 100, 5, 1]]);
+
+    const restored = new WatchHistory({ maxEntries: 2 });
+    restored.load(history.serialize().concat([[null, 1, 1, 0]]));
+    assert.equal(restored.watchedPercent('a', null), null);
+    assert.equal(restored.watchedPercent('c', 0), 100);
+});
@@ -0,0 +1,69 @@
+// Watch progress per video, bounded to the most recently updated `maxEntries` videos. Entries
+// marked by hand from the long-press menu win over YouTube's own resume bars; recorded ones
+// only add to them.
+export class WatchHistory {
+    constructor({ maxEntries, now = Date.now }) {
+        this.maxEntries = maxEntries;
+        this.now = now;
+        this.entries = new Map();
+    }
+
+    get(videoId) {
+        return this.entries.get(videoId);
+    }
+
+    set(videoId, entry) {
+        this.entries.delete(videoId);
+        this.entries.set(videoId, entry);
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    // Progress from playback never goes down, unless the video was marked unwatched by hand.
+    record(videoId, currentTime, duration) {
+        if (!videoId || !duration || !isFinite(duration)) return;
+
+        const percent = Math.min(100, Math.round(currentTime / duration * 100));
+        const previous = this.get(videoId);
+        const kept = previous && !previous.manual ? Math.max(previous.percent, percent) : percent;
+        this.set(videoId, { percent: kept, updated: this.now(), manual: false });
+    }
+
+    mark(videoId, watched) {
+        this.set(videoId, { percent: watched ? 100 : 0, updated: this.now(), manual: true });
+    }
+
+    /**
+     * @param {string} videoId
+     * @param {number|null} resumePercent Progress from YouTube's resume bar, null when the tile has none.
+     * @returns {number|null} null when neither YouTube nor the local history know the video.
+     */
+    watchedPercent(videoId, resumePercent) {
+        const entry = this.get(videoId);
+        if (!entry) return resumePercent;
+        if (entry.manual || resumePercent === null) return entry.percent;
+        return Math.max(entry.percent, resumePercent);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    // [videoId, percent, updated, manual] tuples, oldest first.
+    serialize() {
+        const serialized = [];
+        this.entries.forEach((entry, videoId) => serialized.push([videoId, entry.percent, entry.updated, entry.manual ? 1 : 0]));
+        return serialized;
+    }
+
+    load(serialized) {
+        if (!Array.isArray(serialized)) return;
+
+        for (const [videoId, percent, updated, manual] of serialized) {
+            if (typeof videoId !== 'string' || typeof percent !== 'number') continue;
+            this.set(videoId, { percent, updated, manual: Boolean(manual) });
+        }
+    }
+}
@@ -1,9 +1,24 @@
 import { configWrite, configRead } from './config.js';
 import { enablePip } from './features/pictureInPicture.js';
-import modernUI, { optionShow } from './ui/settings.js';
+import modernUI, { optionShow, showProcessorTimings, showBlockedChannels, showTitleFilters, showTitleFilter, showAudioLanguageOrder, showAudioLanguageMenu, showSponsorBlockStats, showWhitelistedChannels } from './ui/settings.js';
 import { speedSettings } from './ui/speedUI.js';
 import { showToast, buttonItem } from './ui/ytUI.js';
 import checkForUpdates from './features/updater.js';
+import { getOriginalTitle } from './features/deArrow.js';
+import { blockChannel, unblockChannel } from './features/channelBlocklist.js';
+import { whitelistChannel, unwhitelistChannel } from './features/channelWhitelist.js';
+import { removeTitleFilter, toggleTitleFilterPage } from './features/titleFilter.js';
+import { markWatched, clearWatchHistory } from './features/watchHistory.js';
+import { movePreferredAudioLanguage } from './features/audioTrack.js';
+import { submitPendingSegment, cancelPendingSegment } from './features/sponsorblockSubmit.js';
+import { showVoteMenu, showCategoryVoteMenu, voteOnSegment } from './features/sponsorblockVote.js';
+import { clearSkipStats } from './features/sponsorblockStats.js';
+import { showSegmentList } from './features/sponsorblockSegmentList.js';
+import { testSponsorBlockServer } from './features/sponsorblock.js';
+import { addToQueue, clearQueue, discardSavedQueue, playQueuedVideo, resumeSavedQueue } from './features/videoQueuing.js';
+import { addCollectionToQueue, addShelfToQueue } from './features/queueCollections.js';
+import { cycleQueueRepeat, moveManagedVideo, removeManagedVideo, showQueueItemMenu, showQueueManager, shuffleManagedQueue } from './features/videoQueueManager.js';
+import { t } from 'i18next';
 
 export default function resolveCommand(cmd, _) {
     // resolveCommand function is pretty OP, it can do from opening modals, changing client settings and way more.
@@ -181,7 +196,11 @@ function customAction(action, parameters) {
             kE.which = 27;
             document.dispatchEvent(kE);
 
-            document.querySelector('video').currentTime = parameters.time;
+            const skippedVideo = document.querySelector('video');
+            const skipFrom = skippedVideo.currentTime;
+            skippedVideo.currentTime = parameters.time;
+            // Manual SponsorBlock skips carry their segment, to be counted in the statistics.
+            if (parameters.UUID) window.sponsorblock?.recordManualSkip(parameters.UUID, parameters.time - skipFrom);
             break;
         case 'TT_SETTINGS_SHOW':
             modernUI();
@@ -210,15 +229,137 @@ function customAction(action, parameters) {
             showToast('TizenTube', parameters);
             break;
         case 'ADD_TO_QUEUE':
-            window.queuedVideos.videos.push(parameters);
+            addToQueue(parameters);
             showToast('TizenTube', 'Video added to queue.');
             break;
+        case 'ADD_COLLECTION_TO_QUEUE':
+            addCollectionToQueue(parameters);
+            break;
+        case 'ADD_SHELF_TO_QUEUE':
+            addShelfToQueue(parameters);
+            break;
         case 'CLEAR_QUEUE':
-            window.queuedVideos.videos = [];
+            clearQueue();
             showToast('TizenTube', 'Video queue cleared.');
             break;
+        case 'RESUME_QUEUE':
+            resumeSavedQueue();
+            break;
+        case 'DISCARD_SAVED_QUEUE':
+            discardSavedQueue();
+            break;
+        case 'SHOW_QUEUE_MANAGER':
+            // Coming back from a video's actions replaces them and keeps the video focused.
+            if (parameters === undefined) showQueueManager();
+            else showQueueManager(parameters, true);
+            break;
+        case 'SHOW_QUEUE_ITEM':
+            showQueueItemMenu(parameters);
+            break;
+        case 'PLAY_QUEUED_VIDEO':
+            playQueuedVideo(parameters);
+            break;
+        case 'MOVE_QUEUED_VIDEO':
+            moveManagedVideo(parameters);
+            break;
+        case 'REMOVE_QUEUED_VIDEO':
+            removeManagedVideo(parameters);
+            break;
+        case 'SHUFFLE_QUEUE':
+            shuffleManagedQueue();
+            break;
+        case 'CYCLE_QUEUE_REPEAT':
+            cycleQueueRepeat();
+            break;
         case 'CHECK_FOR_UPDATES':
             checkForUpdates(true);
             break;
+        case 'SHOW_ORIGINAL_TITLE':
+            showToast('DeArrow', getOriginalTitle(parameters.videoId) || t('dearrow.titleNotReplaced'));
+            break;
+        case 'SHOW_RESPONSE_PIPELINE_TIMINGS':
+            showProcessorTimings();
+            break;
+        case 'BLOCK_CHANNEL':
+            blockChannel(parameters);
+            showToast('TizenTube', t('channelBlocklist.blocked', { name: parameters.name || parameters.id }));
+            break;
+        case 'UNBLOCK_CHANNEL':
+            unblockChannel(parameters.channel);
+            showBlockedChannels(parameters.selectedIndex);
+            break;
+        case 'TOGGLE_CHANNEL_WHITELIST':
+            if (parameters.whitelisted) whitelistChannel(parameters.channel);
+            else unwhitelistChannel(parameters.channel);
+            showToast('TizenTube', t(parameters.whitelisted ? 'channelWhitelist.added' : 'channelWhitelist.removed', {
+                name: parameters.channel.name || parameters.channel.id
+            }));
+            break;
+        case 'UNWHITELIST_CHANNEL':
+            unwhitelistChannel(parameters.channel);
+            showWhitelistedChannels(parameters.selectedIndex);
+            break;
+        case 'MARK_WATCHED':
+            markWatched(parameters.videoId, parameters.watched);
+            showToast('TizenTube', t(parameters.watched ? 'watchHistory.markedWatched' : 'watchHistory.markedUnwatched'));
+            break;
+        case 'CLEAR_WATCH_HISTORY':
+            clearWatchHistory();
+            showToast('TizenTube', t('watchHistory.cleared'));
+            break;
+        case 'SHOW_TITLE_FILTER':
+            showTitleFilter(parameters.index);
+            break;
+        case 'TOGGLE_TITLE_FILTER_PAGE':
+            toggleTitleFilterPage(parameters.index, parameters.page);
+            showTitleFilter(parameters.index, parameters.selectedIndex, true);
+            break;
+        case 'REMOVE_TITLE_FILTER':
+            removeTitleFilter(parameters.index);
+            showTitleFilters(parameters.index);
+            break;
+        case 'SHOW_AUDIO_LANGUAGE_ORDER':
+            showAudioLanguageOrder(parameters);
+            break;
+        case 'SHOW_AUDIO_LANGUAGE_MENU':
+            showAudioLanguageMenu(parameters);
+            break;
+        case 'MOVE_AUDIO_LANGUAGE':
+            showAudioLanguageMenu(movePreferredAudioLanguage(parameters.index, parameters.delta));
+            break;
+        case 'SUBMIT_SPONSORBLOCK_SEGMENT':
+            submitPendingSegment(parameters);
+            break;
+        case 'CANCEL_SPONSORBLOCK_SEGMENT':
+            cancelPendingSegment();
+            break;
+        case 'SHOW_SPONSORBLOCK_STATS':
+            showSponsorBlockStats();
+            break;
+        case 'CLEAR_SPONSORBLOCK_STATS':
+            clearSkipStats();
+            showSponsorBlockStats(true);
+            break;
+        case 'TEST_SPONSORBLOCK_SERVER':
+            testSponsorBlockServer();
+            break;
+        case 'SHOW_SPONSORBLOCK_SEGMENTS':
+            showSegmentList();
+            break;
+        case 'UNSKIP_SPONSORBLOCK_SEGMENT':
+            window.sponsorblock?.unskip(parameters.UUID);
+            break;
+        case 'SHOW_SPONSORBLOCK_VOTE':
+            showVoteMenu(parameters);
+            break;
+        case 'SHOW_SPONSORBLOCK_CATEGORY_VOTE':
+            showCategoryVoteMenu(parameters);
+            break;
+        case 'VOTE_SPONSORBLOCK_SEGMENT':
+            voteOnSegment(parameters);
+            break;
+        case 'MUTE_SPONSORBLOCK_SEGMENT':
+            window.sponsorblock?.muteSegment(parameters.UUID);
+            break;
     }
 }
\ No newline at end of file
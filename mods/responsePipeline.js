@@ -0,0 +1,132 @@
+import { configRead } from './config.js';
+
+// Every InnerTube response parsed by YouTube TV goes through this single JSON.parse hook.
+// Feature modules register named processors instead of patching JSON.parse themselves, so
+// the order they run in no longer depends on import order.
+
+const RESPONSE_TYPES = {
+    player: r => Boolean(r.streamingData || r.videoDetails || r.playerResponse || r.playerAds || r.adPlacements),
+    next: r => Boolean(r.contents?.singleColumnWatchNextResults || r.playerOverlays || r.transportControls || r.engagementPanels),
+    browse: r => Boolean(r.contents?.tvBrowseRenderer || r.contents?.sectionListRenderer),
+    continuation: r => Boolean(r.continuationContents),
+    reel: r => Boolean(r.entries),
+    guide: r => Boolean(Array.isArray(r.items) && r.items[0]?.guideSectionRenderer)
+};
+
+const processors = [];
+const timings = {};
+const origParse = JSON.parse;
+let processingDepth = 0;
+
+const now = () => (window.performance && performance.now ? performance.now() : Date.now());
+
+export function getResponseTypes(response) {
+    if (!response || typeof response !== 'object' || Array.isArray(response)) return [];
+    return Object.keys(RESPONSE_TYPES).filter(type => RESPONSE_TYPES[type](response));
+}
+
+/**
+ * Registers a response processor.
+ * @param {string} name Shown in debug timings.
+ * @param {object} options
+ * @param {number} [options.priority=100] Lower priorities run first.
+ * @param {string[]} [options.types] Response types (see RESPONSE_TYPES) the processor cares about. Runs for every response when omitted.
+ * @param {function} [options.match] Extra cheap check, called with the response before `process`.
+ * @param {function} options.process Mutates the parsed response in place.
+ */
+export function registerResponseProcessor(name, options) {
+    const existing = processors.findIndex(processor => processor.name === name);
+    if (existing !== -1) processors.splice(existing, 1);
+
+    processors.push({
+        name,
+        priority: options.priority ?? 100,
+        types: options.types || null,
+        match: options.match || null,
+        process: options.process
+    });
+    processors.sort((a, b) => a.priority - b.priority);
+}
+
+export function getProcessorTimings() {
+    return processors.map(processor => Object.assign({ name: processor.name }, timings[processor.name] || { calls: 0, totalMs: 0, maxMs: 0 }));
+}
+
+export function resetProcessorTimings() {
+    for (const name in timings) delete timings[name];
+}
+
+function recordTiming(name, duration) {
+    const timing = timings[name] || (timings[name] = { calls: 0, totalMs: 0, maxMs: 0 });
+    timing.calls++;
+    timing.totalMs += duration;
+    timing.maxMs = Math.max(timing.maxMs, duration);
+}
+
+function processResponse(response) {
+    if (!response || typeof response !== 'object') return;
+
+    const debug = configRead('enableResponsePipelineDebug');
+    const types = getResponseTypes(response);
+    const report = [];
+
+    for (const processor of processors) {
+        if (processor.types && !processor.types.some(type => types.includes(type))) continue;
+
+        const start = debug ? now() : 0;
+        try {
+            if (processor.match && !processor.match(response)) continue;
+            processor.process(response, types);
+        } catch (e) {
+            console.error(`[ResponsePipeline] Processor ${processor.name} failed:`, e);
+        }
+
+        if (debug) {
+            const duration = now() - start;
+            recordTiming(processor.name, duration);
+            report.push(`${processor.name} ${duration.toFixed(1)}ms`);
+        }
+    }
+
+    if (debug && report.length) {
+        console.info(`[ResponsePipeline] ${types.join(', ') || 'other'}:`, report.join(', '));
+    }
+}
+
+const patchedParse = function () {
+    const response = origParse.apply(this, arguments);
+
+    // Deep copies made by processors (JSON.parse(JSON.stringify(...))) are not responses.
+    if (processingDepth > 0) return response;
+
+    processingDepth++;
+    try {
+        processResponse(response);
+    } finally {
+        processingDepth--;
+    }
+    return response;
+};
+
+function patchYttvNamespaces() {
+    for (const key in window._yttv) {
+        if (window._yttv[key] && window._yttv[key].JSON && window._yttv[key].JSON.parse && window._yttv[key].JSON.parse !== patchedParse) {
+            window._yttv[key].JSON.parse = patchedParse;
+        }
+    }
+}
+
+JSON.parse = patchedParse;
+window.JSON.parse = patchedParse;
+patchYttvNamespaces();
+
+// YouTube TV may still be adding JSON namespaces to _yttv while it starts up, without a hash
+// change, so they are looked for a limited number of times after load as well.
+const YTTV_PATCH_RETRY_MS = 1000;
+const YTTV_PATCH_RETRIES = 30;
+let yttvPatchRetries = 0;
+const yttvPatchTimer = setInterval(() => {
+    patchYttvNamespaces();
+    if (++yttvPatchRetries >= YTTV_PATCH_RETRIES) clearInterval(yttvPatchTimer);
+}, YTTV_PATCH_RETRY_MS);
+window.addEventListener('hashchange', patchYttvNamespaces, false);
@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { RESPONSE_FILTER_TYPES, applyRules, compileRules } from './features/responseFilterCore.js';
+
+globalThis.window = globalThis;
+globalThis.localStorage = { 'ytaf-configuration': '{"enableResponsePipelineDebug":false}' };
+globalThis.addEventListener = () => { };
+if (!globalThis.navigator) globalThis.navigator = { userAgent: 'node' };
+
+// The _yttv startup retries would keep the test process alive for half a minute.
+const { setInterval } = globalThis;
+globalThis.setInterval = () => 0;
+const { getResponseTypes, registerResponseProcessor } = await import('./responsePipeline.js');
+globalThis.setInterval = setInterval;
+
+test('getResponseTypes classifies responses by their root keys', () => {
+    assert.deepEqual(getResponseTypes({ streamingData: {}, videoDetails: {} }), ['player']);
+    assert.deepEqual(getResponseTypes({ contents: { singleColumnWatchNextResults: {} }, playerOverlays: {} }), ['next']);
+    assert.deepEqual(getResponseTypes({ continuationContents: {} }), ['continuation']);
+    assert.deepEqual(getResponseTypes({ items: [{ guideSectionRenderer: {} }] }), ['guide']);
+    assert.deepEqual(getResponseTypes([]), []);
+});
+
+test('processors run by priority and only for their response types', () => {
+    const calls = [];
+    registerResponseProcessor('test-late', { priority: 20, process: () => calls.push('late') });
+    registerResponseProcessor('test-early', { priority: 10, process: () => calls.push('early') });
+    registerResponseProcessor('test-player', { priority: 15, types: ['player'], process: () => calls.push('player') });
+
+    JSON.parse('{"continuationContents":{}}');
+    assert.deepEqual(calls, ['early', 'late']);
+
+    calls.length = 0;
+    JSON.parse('{"streamingData":{}}');
+    assert.deepEqual(calls, ['early', 'player', 'late']);
+});
+
+test('a failing processor does not stop the others', () => {
+    let ran = false;
+    registerResponseProcessor('test-failing', { priority: 1, types: ['guide'], process: () => { throw new Error('boom'); } });
+    registerResponseProcessor('test-after-failure', { priority: 2, types: ['guide'], process: () => { ran = true; } });
+
+    const originalError = console.error;
+    console.error = () => { };
+    try {
+        JSON.parse('{"items":[{"guideSectionRenderer":{}}]}');
+    } finally {
+        console.error = originalError;
+    }
+    assert.equal(ran, true);
+});
+
+test('JSON.parse calls made inside a processor are not processed again', () => {
+    let count = 0;
+    registerResponseProcessor('test-nested', {
+        types: ['browse'],
+        process(response) {
+            count++;
+            JSON.parse(JSON.stringify({ contents: { sectionListRenderer: {} } }));
+            response.copied = true;
+        }
+    });
+
+    const response = JSON.parse('{"contents":{"sectionListRenderer":{}}}');
+    assert.equal(count, 1);
+    assert.equal(response.copied, true);
+});
+
+test('the response filters drop Shorts ads from reel responses', () => {
+    const rules = compileRules(JSON.parse(readFileSync(new URL('./features/responseFilterRules.json', import.meta.url), 'utf8')));
+    registerResponseProcessor('test-response-filters', {
+        types: RESPONSE_FILTER_TYPES,
+        process: response => applyRules(response, rules, () => true)
+    });
+
+    const response = JSON.parse(JSON.stringify({
+        entries: [
+            { command: { reelWatchEndpoint: { videoId: 'ad', adClientParams: { isAd: true } } } },
+            { command: { reelWatchEndpoint: { videoId: 'short' } } }
+        ]
+    }));
+    assert.deepEqual(response.entries.map(entry => entry.command.reelWatchEndpoint.videoId), ['short']);
+});
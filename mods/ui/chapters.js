@@ -134,4 +134,14 @@ export default function Chapters(video) {
 
     const markerEntityData = markerEntity(videoID, markers);
     return markerEntityData;
-}
\ No newline at end of file
+}
+
+// Marker entity for SponsorBlock chapters, as returned by buildChapters (times in seconds).
+export function chapterMarkerEntity(videoID, chapters) {
+    const markers = chapters.map((chapter, i) => {
+        const start = Math.round(chapter.start * 1000);
+        const duration = Math.round(chapter.end * 1000) - start;
+        return marker(chapter.title, String(start), String(duration), videoID, i);
+    });
+    return markerEntity(videoID, markers);
+}
@@ -1,14 +1,14 @@
 import { configChangeEmitter, configRead } from "../config.js";
 import getCommandExecutor from "./customCommandExecution.js";
+import { registerResponseProcessor } from "../responsePipeline.js";
 
-const origParse = JSON.parse;
-JSON.parse = function () {
-    const r = origParse.apply(this, arguments);
-
-    const disabledSidebarContents = configRead('disabledSidebarContents');
-    const disableChannelsOnSidebar = configRead('disableChannelsOnSidebar');
-    if (r.items && Array.isArray(r.items) && r.items[0].guideSectionRenderer) {
-        if (!disabledSidebarContents.length) return r;
+registerResponseProcessor('guideSidebar', {
+    priority: 30,
+    types: ['guide'],
+    process(r) {
+        const disabledSidebarContents = configRead('disabledSidebarContents');
+        const disableChannelsOnSidebar = configRead('disableChannelsOnSidebar');
+        if (!disabledSidebarContents.length) return;
         for (let i = 0; i < r.items.length; i++) {
             const section = r.items[i].guideSectionRenderer;
             for (let j = 0; j < section.items.length; j++) {
@@ -22,9 +22,7 @@ JSON.parse = function () {
             }
         }
     }
-
-    return r;
-}
+});
 
 configChangeEmitter.addEventListener('configChange', (e) => {
     if (e.detail.key === 'disabledSidebarContents' || e.detail.key === 'disableChannelsOnSidebar') {
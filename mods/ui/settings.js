@@ -3,9 +3,50 @@ import { showModal, buttonItem, overlayPanelItemListRenderer, scrollPaneRenderer
 import qrcode from 'qrcode-npm';
 import { t } from 'i18next';
 import { getComprehensiveLanguageList } from '../features/moreSubtitles.js';
+import { builtinRules } from '../features/responseFilter.js';
+import { getProcessorTimings } from '../responsePipeline.js';
+import { getBlockedChannels } from '../features/channelBlocklist.js';
+import { getWhitelistedChannels } from '../features/channelWhitelist.js';
+import { TITLE_FILTER_PAGES, getTitleFilters, getTitleFilterHiddenCount } from '../features/titleFilter.js';
+import { CONTENT_FILTER_PAGES } from '../features/contentFilter.js';
+import { getSeenShelfTitles } from '../features/shelfManager.js';
+import { titleRule } from '../features/shelfManagerCore.js';
+import { COLOR_CATEGORIES, DEFAULT_SERVER, SEGMENT_MODES, SKIP_CATEGORIES, colorConfigKey, modeConfigKey, minDurationConfigKey, opacityConfigKey } from '../features/sponsorblockCore.js';
+import { getSkipStats } from '../features/sponsorblockStats.js';
+import { formatTimeSaved } from '../features/sponsorblockStatsCore.js';
 
 const qrcodes = {};
 
+const PAGE_NAMES = {
+    search: 'Search Results',
+    home: 'Home',
+    music: 'Music',
+    gaming: 'Gaming',
+    subscriptions: 'Subscriptions',
+    library: 'Library',
+    more: 'More',
+    channel: 'Channels'
+};
+
+const pageOptions = pages => pages.map((page) => {
+    return {
+        name: PAGE_NAMES[page],
+        value: page
+    }
+});
+
+const SEGMENT_CATEGORY_ICONS = {
+    sponsor: 'MONEY_HEART',
+    intro: 'PLAY_CIRCLE'
+};
+
+const segmentModeName = mode => t(`settings.options.sponsorblock.options.modes.${mode}`);
+
+const SEGMENT_COLORS = ['#00d400', '#00ffff', '#0202ed', '#cc00ff', '#ffff00', '#008fd6', '#7300ff', '#ff9900', '#9b044c', '#ff0000', '#ffffff'];
+const SEGMENT_OPACITIES = ['0.3', '0.5', '0.7', '0.9', '1'];
+
+const formatDuration = seconds => seconds < 3600 ? `${seconds / 60} min` : `${seconds / 3600} h`;
+
 export default function modernUI(update, parameters) {
     const settings = [
         {
@@ -92,6 +133,49 @@ export default function modernUI(update, parameters) {
             icon: 'DOLLAR_SIGN',
             value: 'enableAdBlock'
         },
+        {
+            name: t('settings.options.responseFilters.title'),
+            icon: 'DOLLAR_SIGN',
+            value: null,
+            menuId: 'tt-response-filter-settings',
+            options: [
+                {
+                    name: t('settings.options.responseFilters.options.builtinRules.title'),
+                    icon: 'SETTINGS',
+                    value: null,
+                    arrayToEdit: 'disabledResponseFilterRules',
+                    menuId: 'tt-response-filter-builtin-rules',
+                    menuHeader: {
+                        title: t('settings.options.responseFilters.options.builtinRules.title'),
+                        subtitle: t('settings.options.responseFilters.options.builtinRules.subtitle')
+                    },
+                    options: builtinRules.map((entry) => {
+                        return {
+                            name: entry.id,
+                            subtitle: entry.rule,
+                            value: entry.id
+                        }
+                    })
+                },
+                {
+                    name: t('settings.options.responseFilters.options.customRules.title'),
+                    icon: 'SETTINGS',
+                    value: null,
+                    arrayToEdit: 'customResponseFilterRules',
+                    menuId: 'tt-response-filter-custom-rules',
+                    menuHeader: {
+                        title: t('settings.options.responseFilters.options.customRules.title'),
+                        subtitle: t('settings.options.responseFilters.options.customRules.subtitle')
+                    },
+                    options: configRead('customResponseFilterRules').map((rule) => {
+                        return {
+                            name: rule,
+                            value: rule
+                        }
+                    })
+                }
+            ]
+        },
         {
             name: t('settings.options.sponsorblock.title'),
             icon: 'MONEY_HAND',
@@ -108,99 +192,183 @@ export default function modernUI(update, parameters) {
                     value: 'enableSponsorBlock'
                 },
                 {
-                    name: t('settings.options.sponsorblock.options.manualSkip'),
-                    icon: 'DOLLAR_SIGN',
+                    name: t('settings.options.sponsorblock.options.segments'),
+                    icon: 'SETTINGS',
                     value: null,
-                    arrayToEdit: 'sponsorBlockManualSkips',
-                    menuId: 'tt-sponsorblock-manual-segment-skip',
+                    menuId: 'tt-sponsorblock-segments',
                     options: [
+                        ...SKIP_CATEGORIES.map((entry) => {
+                            const name = t(`settings.options.sponsorblock.options.categoryNames.${entry.category}`);
+                            return {
+                                name,
+                                subtitle: segmentModeName(configRead(modeConfigKey(entry))),
+                                icon: SEGMENT_CATEGORY_ICONS[entry.category],
+                                value: null,
+                                menuId: `tt-sponsorblock-${entry.category}`,
+                                menuHeader: {
+                                    title: name,
+                                    subtitle: t('settings.options.sponsorblock.options.modes.description')
+                                },
+                                options: [
+                                    ...SEGMENT_MODES.map((mode) => {
+                                        return {
+                                            name: segmentModeName(mode),
+                                            key: modeConfigKey(entry),
+                                            value: mode
+                                        }
+                                    }),
+                                    {
+                                        name: t('settings.options.sponsorblock.options.minDuration.title'),
+                                        subtitle: t('settings.options.sponsorblock.options.minDuration.subtitle'),
+                                        icon: 'TIMER',
+                                        value: null,
+                                        menuId: `tt-sponsorblock-${entry.category}-min-duration`,
+                                        options: [0, 5, 10, 30, 60].map((seconds) => {
+                                            return {
+                                                name: seconds ? t('settings.options.sponsorblock.options.minDuration.seconds', { count: seconds }) : t('settings.options.sponsorblock.options.minDuration.none'),
+                                                key: minDurationConfigKey(entry),
+                                                value: seconds
+                                            }
+                                        })
+                                    }
+                                ]
+                            }
+                        }),
                         {
-                            name: t('settings.options.sponsorblock.options.categories.sponsor'),
-                            icon: 'MONEY_HEART',
-                            value: 'sponsor'
-                        },
-                        {
-                            name: t('settings.options.sponsorblock.options.categories.intro'),
-                            icon: 'PLAY_CIRCLE',
-                            value: 'intro'
-                        },
-                        {
-                            name: t('settings.options.sponsorblock.options.categories.outro'),
-                            value: 'outro'
-                        },
-                        {
-                            name: t('settings.options.sponsorblock.options.categories.interaction'),
-                            value: 'interaction'
-                        },
-                        {
-                            name: t('settings.options.sponsorblock.options.categories.selfpromo'),
-                            value: 'selfpromo'
-                        },
-                        {
-                            name: t('settings.options.sponsorblock.options.categories.preview'),
-                            value: 'preview'
-                        },
-                        {
-                            name: t('settings.options.sponsorblock.options.categories.filler'),
-                            value: 'filler'
-                        },
-                        {
-                            name: t('settings.options.sponsorblock.options.categories.music_offtopic'),
-                            value: 'music_offtopic'
+                            name: t('settings.options.sponsorblock.options.categories.highlights'),
+                            icon: 'LOCATION_POINT',
+                            value: 'enableSponsorBlockHighlight'
                         }
                     ]
                 },
                 {
-                    name: t('settings.options.sponsorblock.options.segments'),
-                    icon: 'SETTINGS',
+                    name: t('settings.options.sponsorblock.options.colors.title'),
+                    icon: 'LENS_BLUE',
                     value: null,
-                    menuId: 'tt-sponsorblock-segments',
+                    menuId: 'tt-sponsorblock-colors',
+                    options: COLOR_CATEGORIES.map((entry) => {
+                        const name = t(`settings.options.sponsorblock.options.categoryNames.${entry.category}`);
+                        return {
+                            name,
+                            subtitle: configRead(colorConfigKey(entry)) || t('settings.options.sponsorblock.options.colors.default'),
+                            value: null,
+                            menuId: `tt-sponsorblock-${entry.category}-color`,
+                            options: [
+                                {
+                                    name: t('settings.options.sponsorblock.options.colors.default'),
+                                    key: colorConfigKey(entry),
+                                    value: ''
+                                },
+                                ...SEGMENT_COLORS.map((color) => {
+                                    return {
+                                        name: color,
+                                        key: colorConfigKey(entry),
+                                        value: color
+                                    }
+                                }),
+                                {
+                                    name: t('settings.options.sponsorblock.options.colors.opacity'),
+                                    subtitle: configRead(opacityConfigKey(entry)) || t('settings.options.sponsorblock.options.colors.default'),
+                                    value: null,
+                                    menuId: `tt-sponsorblock-${entry.category}-opacity`,
+                                    options: [''].concat(SEGMENT_OPACITIES).map((opacity) => {
+                                        return {
+                                            name: opacity ? `${Math.round(opacity * 100)}%` : t('settings.options.sponsorblock.options.colors.default'),
+                                            key: opacityConfigKey(entry),
+                                            value: opacity
+                                        }
+                                    })
+                                }
+                            ]
+                        }
+                    })
+                },
+                {
+                    name: t('settings.options.sponsorblock.options.server.title'),
+                    subtitle: configRead('sponsorBlockServer') || DEFAULT_SERVER,
+                    icon: 'OPEN_IN_NEW',
+                    value: null,
+                    menuId: 'tt-sponsorblock-server',
+                    menuHeader: {
+                        title: t('settings.options.sponsorblock.options.server.title'),
+                        subtitle: t('settings.options.sponsorblock.options.server.subtitle')
+                    },
                     options: [
                         {
-                            name: t('settings.options.sponsorblock.options.categories.sponsor'),
-                            icon: 'MONEY_HEART',
-                            value: 'enableSponsorBlockSponsor'
-                        },
-                        {
-                            name: t('settings.options.sponsorblock.options.categories.intro'),
-                            icon: 'PLAY_CIRCLE',
-                            value: 'enableSponsorBlockIntro'
-                        },
-                        {
-                            name: t('settings.options.sponsorblock.options.categories.outro'),
-                            value: 'enableSponsorBlockOutro'
-                        },
-                        {
-                            name: t('settings.options.sponsorblock.options.categories.interaction'),
-                            value: 'enableSponsorBlockInteraction'
-                        },
-                        {
-                            name: t('settings.options.sponsorblock.options.categories.selfpromo'),
-                            value: 'enableSponsorBlockSelfPromo'
-                        },
-                        {
-                            name: t('settings.options.sponsorblock.options.categories.preview'),
-                            value: 'enableSponsorBlockPreview'
-                        },
-                        {
-                            name: t('settings.options.sponsorblock.options.categories.filler'),
-                            value: 'enableSponsorBlockFiller'
+                            name: t('settings.options.sponsorblock.options.server.official'),
+                            key: 'sponsorBlockServer',
+                            value: ''
                         },
-                        {
-                            name: t('settings.options.sponsorblock.options.categories.music_offtopic'),
-                            value: 'enableSponsorBlockMusicOfftopic'
-                        },
-                        {
-                            name: t('settings.options.sponsorblock.options.categories.highlights'),
-                            icon: 'LOCATION_POINT',
-                            value: 'enableSponsorBlockHighlight'
-                        }
+                        buttonItem(
+                            { title: t('settings.options.sponsorblock.options.server.test') },
+                            { icon: 'SYSTEM_UPDATE' },
+                            [
+                                {
+                                    customAction: {
+                                        action: 'TEST_SPONSORBLOCK_SERVER'
+                                    }
+                                }
+                            ]
+                        )
                     ]
                 },
+                {
+                    name: t('settings.options.sponsorblock.options.chapters'),
+                    icon: 'MENU',
+                    value: 'enableSponsorBlockChapters'
+                },
+                {
+                    name: t('settings.options.sponsorblock.options.videoLabels'),
+                    icon: 'MONEY_HAND',
+                    value: 'enableSponsorBlockVideoLabels'
+                },
                 {
                     name: t('settings.options.sponsorblock.options.showSBToasts'),
                     value: 'enableSponsorBlockToasts'
-                }
+                },
+                {
+                    name: t('settings.options.sponsorblock.options.skipNotice.title'),
+                    icon: 'TIMER',
+                    value: null,
+                    menuId: 'tt-sponsorblock-skip-notice',
+                    menuHeader: {
+                        title: t('settings.options.sponsorblock.options.skipNotice.title'),
+                        subtitle: t('settings.options.sponsorblock.options.skipNotice.subtitle')
+                    },
+                    options: [0, 2, 3, 5].map((seconds) => {
+                        return {
+                            name: seconds ? t('settings.options.sponsorblock.options.minDuration.seconds', { count: seconds }) : t('settings.options.sponsorblock.options.skipNotice.off'),
+                            key: 'sponsorBlockSkipNotice',
+                            value: seconds
+                        }
+                    })
+                },
+                {
+                    name: t('settings.options.sponsorblock.options.unskip'),
+                    icon: 'SKIP_PREVIOUS',
+                    value: 'enableSponsorBlockUnskip'
+                },
+                {
+                    name: t('settings.options.sponsorblock.options.voting'),
+                    icon: 'DISLIKE',
+                    value: 'enableSponsorBlockVoting'
+                },
+                {
+                    name: t('settings.options.sponsorblock.options.submissions'),
+                    icon: 'ADD',
+                    value: 'enableSponsorBlockSubmissions'
+                },
+                buttonItem(
+                    { title: t('settings.options.sponsorblock.options.statistics') },
+                    { icon: 'TROPHY' },
+                    [
+                        {
+                            customAction: {
+                                action: 'SHOW_SPONSORBLOCK_STATS'
+                            }
+                        }
+                    ]
+                )
             ]
         },
         {
@@ -222,6 +390,33 @@ export default function modernUI(update, parameters) {
                     name: t('settings.options.dearrow.options.enableDAThumbnails'),
                     icon: 'TV',
                     value: 'enableDeArrowThumbnails'
+                },
+                {
+                    name: t('settings.options.dearrow.options.titleFormatting.title'),
+                    icon: 'SETTINGS',
+                    value: null,
+                    menuId: 'tt-dearrow-title-formatting',
+                    menuHeader: {
+                        title: t('settings.options.dearrow.options.titleFormatting.title'),
+                        subtitle: t('settings.options.dearrow.options.titleFormatting.subtitle')
+                    },
+                    options: [
+                        ...['off', 'titleCase', 'sentenceCase'].map((mode) => {
+                            return {
+                                name: t(`settings.options.dearrow.options.titleFormatting.modes.${mode}`),
+                                key: 'deArrowTitleFormat',
+                                value: mode
+                            }
+                        }),
+                        {
+                            name: t('settings.options.dearrow.options.titleFormatting.fixAllCaps'),
+                            value: 'deArrowFixAllCaps'
+                        },
+                        {
+                            name: t('settings.options.dearrow.options.titleFormatting.removeTrailingEmoji'),
+                            value: 'deArrowRemoveTrailingEmoji'
+                        }
+                    ]
                 }
             ]
         },
@@ -230,6 +425,28 @@ export default function modernUI(update, parameters) {
             icon: 'DISLIKE',
             value: 'enableReturnYoutubeDislike'
         },
+        {
+            name: t('settings.options.blockedChannels.title'),
+            icon: 'EYE_OFF',
+            value: null,
+            menuId: 'tt-blocked-channels',
+            menuHeader: {
+                title: t('settings.options.blockedChannels.title'),
+                subtitle: t('settings.options.blockedChannels.subtitle')
+            },
+            options: blockedChannelOptions()
+        },
+        {
+            name: t('settings.options.whitelistedChannels.title'),
+            icon: 'STAR',
+            value: null,
+            menuId: 'tt-whitelisted-channels',
+            menuHeader: {
+                title: t('settings.options.whitelistedChannels.title'),
+                subtitle: t('settings.options.whitelistedChannels.subtitle')
+            },
+            options: whitelistedChannelOptions()
+        },
         {
             name: t('settings.options.misc.title'),
             icon: 'SETTINGS',
@@ -295,6 +512,11 @@ export default function modernUI(update, parameters) {
                     icon: 'YOUTUBE_SHORTS_FILL_24',
                     value: 'enableShorts'
                 },
+                {
+                    name: t('settings.options.misc.options.openShortsAsVideos'),
+                    icon: 'YOUTUBE_SHORTS_FILL_24',
+                    value: 'openShortsAsVideos'
+                },
                 {
                     name: t('settings.options.misc.options.videoPreviews'),
                     value: 'enablePreviews'
@@ -315,7 +537,23 @@ export default function modernUI(update, parameters) {
                     name: t('settings.options.misc.options.lowMemoryMode'),
                     icon: 'SETTINGS',
                     value: 'enableLowMemoryMode'
-                }
+                },
+                {
+                    name: t('settings.options.misc.options.responsePipelineDebug'),
+                    icon: 'SETTINGS',
+                    value: 'enableResponsePipelineDebug'
+                },
+                buttonItem(
+                    { title: t('settings.options.misc.options.responsePipelineTimings') },
+                    { icon: 'TIMER' },
+                    [
+                        {
+                            customAction: {
+                                action: 'SHOW_RESPONSE_PIPELINE_TIMINGS'
+                            }
+                        }
+                    ]
+                )
             ]
         },
         {
@@ -333,6 +571,56 @@ export default function modernUI(update, parameters) {
                 }
             ]
         },
+        {
+            name: t('settings.options.audioTrack.title'),
+            icon: 'MUSIC_NOTE',
+            value: null,
+            menuId: 'tt-audio-track-settings',
+            menuHeader: {
+                title: t('settings.options.audioTrack.title'),
+                subtitle: t('settings.options.audioTrack.subtitle')
+            },
+            options: [
+                ...['default', 'original', 'uiLanguage', 'list'].map((mode) => {
+                    return {
+                        name: t(`settings.options.audioTrack.modes.${mode}`),
+                        key: 'preferredAudioTrack',
+                        value: mode
+                    }
+                }),
+                {
+                    name: t('settings.options.audioTrack.languages.title'),
+                    icon: 'TRANSLATE',
+                    value: null,
+                    arrayToEdit: 'preferredAudioLanguages',
+                    ordered: true,
+                    menuId: 'tt-audio-track-languages',
+                    menuHeader: {
+                        title: t('settings.options.audioTrack.languages.title'),
+                        subtitle: t('settings.options.audioTrack.languages.subtitle')
+                    },
+                    options: Object.entries(getComprehensiveLanguageList())
+                        .sort(([, a], [, b]) => a.localeCompare(b))
+                        .map(([code, name]) => {
+                            return {
+                                name,
+                                value: code
+                            }
+                        })
+                },
+                buttonItem(
+                    { title: t('settings.options.audioTrack.order.title') },
+                    { icon: 'MENU' },
+                    [
+                        {
+                            customAction: {
+                                action: 'SHOW_AUDIO_LANGUAGE_ORDER'
+                            }
+                        }
+                    ]
+                )
+            ]
+        },
         {
             name: t('settings.options.videoPlayer.title'),
             icon: 'VIDEO_YOUTUBE',
@@ -451,7 +739,7 @@ export default function modernUI(update, parameters) {
                     menuId: 'tt-advanced-codec-settings',
                     menuHeader: {
                         title: 'Advanced Codec Settings',
-                        subtitle: 'Individually deactivate specific codecs and high frame rates',
+                        subtitle: 'Deactivate specific codecs and high frame rates, or choose codecs per resolution',
                     },
                     options: [
                         {
@@ -478,6 +766,63 @@ export default function modernUI(update, parameters) {
                             name: 'Disable HEVC',
                             value: 'disableHEVC'
                         },
+                        {
+                            name: 'Codec Policy by Resolution',
+                            subtitle: 'Allowed codecs per resolution, most preferred first',
+                            value: null,
+                            menuId: 'tt-codec-policy',
+                            menuHeader: {
+                                title: 'Codec Policy by Resolution',
+                                subtitle: 'Only the first available codec of the list is played. Resolutions without an allowed codec are skipped.'
+                            },
+                            options: [
+                                { name: '720p and below', configKey: 'codecPolicy720p' },
+                                { name: '1080p', configKey: 'codecPolicy1080p' },
+                                { name: '1440p', configKey: 'codecPolicy1440p' },
+                                { name: '2160p (4K) and above', configKey: 'codecPolicy2160p' }
+                            ].map((band) => {
+                                return {
+                                    name: band.name,
+                                    value: null,
+                                    menuId: `tt-codec-policy-${band.configKey}`,
+                                    menuHeader: {
+                                        title: band.name,
+                                        subtitle: 'Allowed codecs, most preferred first'
+                                    },
+                                    options: ['any', 'av01,vp9,avc1', 'vp9,av01,avc1', 'vp9,avc1', 'avc1,vp9', 'avc1'].map((order) => {
+                                        return {
+                                            name: order === 'any' ? 'Any' : order.split(',').map(codec => codec.toUpperCase()).join(' > '),
+                                            key: band.configKey,
+                                            value: order
+                                        }
+                                    })
+                                }
+                            })
+                        },
+                        {
+                            name: 'Maximum Resolution',
+                            value: null,
+                            menuId: 'tt-max-video-resolution',
+                            options: [0, 720, 1080, 1440, 2160].map((height) => {
+                                return {
+                                    name: height ? `${height}p` : 'No Limit',
+                                    key: 'maxVideoResolution',
+                                    value: height
+                                }
+                            })
+                        },
+                        {
+                            name: 'Maximum Frame Rate',
+                            value: null,
+                            menuId: 'tt-max-video-fps',
+                            options: [0, 30, 60].map((fps) => {
+                                return {
+                                    name: fps ? `${fps}fps` : 'No Limit',
+                                    key: 'maxVideoFps',
+                                    value: fps
+                                }
+                            })
+                        },
                         {
                             name: 'Experimental: YouTube CPU Tamer',
                             subtitle: 'Loads external userscript; requires app reload for best effect',
@@ -567,39 +912,191 @@ export default function modernUI(update, parameters) {
                             value: null,
                             arrayToEdit: 'hideWatchedVideosPages',
                             menuId: 'tt-hide-watched-videos-pages',
-                            options: [
-                                {
-                                    name: 'Search Results',
-                                    value: 'search'
-                                },
-                                {
-                                    name: 'Home',
-                                    value: 'home'
-                                },
+                            options: pageOptions(TITLE_FILTER_PAGES)
+                        },
+                        {
+                            name: t('settings.options.uiSettings.options.hideWatchedVideos.options.localWatchHistory'),
+                            icon: 'TAB_LIBRARY',
+                            value: 'enableLocalWatchHistory'
+                        },
+                        buttonItem(
+                            { title: t('settings.options.uiSettings.options.hideWatchedVideos.options.clearLocalWatchHistory') },
+                            { icon: 'CLEAR_COOKIES' },
+                            [
                                 {
-                                    name: 'Music',
-                                    value: 'music'
-                                },
+                                    customAction: {
+                                        action: 'CLEAR_WATCH_HISTORY'
+                                    }
+                                }
+                            ]
+                        )
+                    ]
+                },
+                {
+                    name: t('settings.options.uiSettings.options.titleFilters.title'),
+                    icon: 'SEARCH',
+                    value: null,
+                    menuId: 'tt-title-filters',
+                    menuHeader: {
+                        title: t('settings.options.uiSettings.options.titleFilters.title'),
+                        subtitle: t('settings.options.uiSettings.options.titleFilters.subtitle')
+                    },
+                    options: titleFilterOptions()
+                },
+                {
+                    name: t('settings.options.uiSettings.options.contentFilters.title'),
+                    icon: 'VISIBILITY_OFF',
+                    value: null,
+                    menuId: 'tt-content-filters',
+                    menuHeader: {
+                        title: t('settings.options.uiSettings.options.contentFilters.title'),
+                        subtitle: t('settings.options.uiSettings.options.contentFilters.subtitle')
+                    },
+                    options: [
+                        {
+                            name: t('settings.options.uiSettings.options.contentFilters.options.live'),
+                            icon: 'LIVE',
+                            value: null,
+                            arrayToEdit: 'hideLiveVideosPages',
+                            menuId: 'tt-content-filters-live',
+                            options: pageOptions(CONTENT_FILTER_PAGES)
+                        },
+                        {
+                            name: t('settings.options.uiSettings.options.contentFilters.options.upcoming'),
+                            icon: 'TIMER',
+                            value: null,
+                            arrayToEdit: 'hideUpcomingVideosPages',
+                            menuId: 'tt-content-filters-upcoming',
+                            options: pageOptions(CONTENT_FILTER_PAGES)
+                        },
+                        {
+                            name: t('settings.options.uiSettings.options.contentFilters.options.membersOnly'),
+                            icon: 'MONEY_HEART',
+                            value: null,
+                            arrayToEdit: 'hideMembersOnlyVideosPages',
+                            menuId: 'tt-content-filters-members-only',
+                            options: pageOptions(CONTENT_FILTER_PAGES)
+                        },
+                        {
+                            name: t('settings.options.uiSettings.options.contentFilters.options.short.title'),
+                            icon: 'SLOW_MOTION_VIDEO',
+                            value: null,
+                            menuId: 'tt-content-filters-short',
+                            options: [
                                 {
-                                    name: 'Gaming',
-                                    value: 'gaming'
+                                    name: t('settings.options.uiSettings.options.contentFilters.options.pages'),
+                                    value: null,
+                                    arrayToEdit: 'hideShortVideosPages',
+                                    menuId: 'tt-content-filters-short-pages',
+                                    options: pageOptions(CONTENT_FILTER_PAGES)
                                 },
                                 {
-                                    name: 'Subscriptions',
-                                    value: 'subscriptions'
-                                },
+                                    name: t('settings.options.uiSettings.options.contentFilters.options.short.duration'),
+                                    value: null,
+                                    menuId: 'tt-content-filters-short-duration',
+                                    options: [60, 120, 180, 300, 600, 1200].map((seconds) => {
+                                        return {
+                                            name: formatDuration(seconds),
+                                            key: 'hideShortVideosUnder',
+                                            value: seconds
+                                        }
+                                    })
+                                }
+                            ]
+                        },
+                        {
+                            name: t('settings.options.uiSettings.options.contentFilters.options.long.title'),
+                            icon: 'CLAPPERBOARD',
+                            value: null,
+                            menuId: 'tt-content-filters-long',
+                            options: [
                                 {
-                                    name: 'Library',
-                                    value: 'library'
+                                    name: t('settings.options.uiSettings.options.contentFilters.options.pages'),
+                                    value: null,
+                                    arrayToEdit: 'hideLongVideosPages',
+                                    menuId: 'tt-content-filters-long-pages',
+                                    options: pageOptions(CONTENT_FILTER_PAGES)
                                 },
                                 {
-                                    name: 'More',
-                                    value: 'more'
+                                    name: t('settings.options.uiSettings.options.contentFilters.options.long.duration'),
+                                    value: null,
+                                    menuId: 'tt-content-filters-long-duration',
+                                    options: [1200, 1800, 3600, 7200, 10800].map((seconds) => {
+                                        return {
+                                            name: formatDuration(seconds),
+                                            key: 'hideLongVideosOver',
+                                            value: seconds
+                                        }
+                                    })
                                 }
                             ]
                         }
                     ]
                 },
+                {
+                    name: t('settings.options.uiSettings.options.shelfManager.title'),
+                    icon: 'TAB_MORE',
+                    value: null,
+                    menuId: 'tt-shelf-manager',
+                    options: [
+                        {
+                            name: t('settings.options.uiSettings.options.shelfManager.options.dedupe'),
+                            icon: 'VISIBILITY_OFF',
+                            value: 'enableShelfDeduplication'
+                        },
+                        {
+                            name: t('settings.options.uiSettings.options.shelfManager.options.hideShelves.title'),
+                            icon: 'EYE_OFF',
+                            value: null,
+                            arrayToEdit: 'shelfRules',
+                            menuId: 'tt-shelf-manager-hide',
+                            menuHeader: {
+                                title: t('settings.options.uiSettings.options.shelfManager.options.hideShelves.title'),
+                                subtitle: t('settings.options.uiSettings.options.shelfManager.options.seenShelves')
+                            },
+                            options: getSeenShelfTitles().map((title) => {
+                                return {
+                                    name: title,
+                                    value: titleRule('hide', title)
+                                }
+                            })
+                        },
+                        {
+                            name: t('settings.options.uiSettings.options.shelfManager.options.pinShelves.title'),
+                            icon: 'STAR',
+                            value: null,
+                            arrayToEdit: 'shelfRules',
+                            menuId: 'tt-shelf-manager-pin',
+                            menuHeader: {
+                                title: t('settings.options.uiSettings.options.shelfManager.options.pinShelves.title'),
+                                subtitle: t('settings.options.uiSettings.options.shelfManager.options.seenShelves')
+                            },
+                            options: getSeenShelfTitles().map((title) => {
+                                return {
+                                    name: title,
+                                    value: titleRule('pin', title)
+                                }
+                            })
+                        },
+                        {
+                            name: t('settings.options.uiSettings.options.shelfManager.options.rules.title'),
+                            icon: 'SETTINGS',
+                            value: null,
+                            arrayToEdit: 'shelfRules',
+                            menuId: 'tt-shelf-manager-rules',
+                            menuHeader: {
+                                title: t('settings.options.uiSettings.options.shelfManager.options.rules.title'),
+                                subtitle: t('settings.options.uiSettings.options.shelfManager.options.rules.subtitle')
+                            },
+                            options: configRead('shelfRules').map((rule) => {
+                                return {
+                                    name: rule,
+                                    value: rule
+                                }
+                            })
+                        }
+                    ]
+                },
                 {
                     name: t('settings.options.uiSettings.options.screenDimming.title'),
                     icon: 'EYE_OFF',
@@ -948,6 +1445,7 @@ export default function modernUI(update, parameters) {
                                     update: setting.options?.title ? 'customUI' : false,
                                     menuId: setting.menuId,
                                     arrayToEdit: setting.arrayToEdit,
+                                    ordered: setting.ordered,
                                     menuHeader: setting.menuHeader
                                 }
                             }
@@ -985,16 +1483,17 @@ export function optionShow(parameters, update) {
     }
     const buttons = [];
 
-    // Check if this is the legacy sponsorBlockManualSkips (array-based) or new boolean-based options
+    // Check if this is a checkbox list backed by an array config value or boolean-based options
     const isArrayBasedOptions = parameters.arrayToEdit !== undefined;
 
     if (isArrayBasedOptions) {
-        // Legacy handling for sponsorBlockManualSkips
         const value = configRead(parameters.arrayToEdit);
         for (const option of parameters.options) {
+            // Ordered lists show the rank of each checked entry, which follows the config array.
+            const rank = parameters.ordered ? value.indexOf(option.value) + 1 : 0;
             buttons.push(
                 buttonItem(
-                    { title: option.name, subtitle: option.subtitle },
+                    { title: option.name, subtitle: rank ? t('settings.rank', { rank }) : option.subtitle },
                     {
                         icon: option.icon ? option.icon : 'CHEVRON_DOWN',
                         secondaryIcon: value.includes(option.value) ? 'CHECK_BOX' : 'CHECK_BOX_OUTLINE_BLANK'
@@ -1021,6 +1520,7 @@ export function optionShow(parameters, update) {
                                     update: true,
                                     menuId: parameters.menuId,
                                     arrayToEdit: parameters.arrayToEdit,
+                                    ordered: parameters.ordered,
                                     menuHeader: parameters.menuHeader
                                 }
                             }
@@ -1058,6 +1558,7 @@ export function optionShow(parameters, update) {
                                     update: option.options?.title ? 'customUI' : false,
                                     menuId: option.menuId,
                                     arrayToEdit: option.arrayToEdit,
+                                    ordered: option.ordered,
                                     menuHeader: option.menuHeader
                                 }
                             }
@@ -1123,3 +1624,306 @@ export function optionShow(parameters, update) {
 
     showModal(parameters.menuHeader ? parameters.menuHeader : 'TizenTube Settings', overlayPanelItemListRenderer(buttons, parameters.selectedIndex), parameters.menuId || 'tt-settings-options', update);
 }
+
+export function showProcessorTimings() {
+    const timings = getProcessorTimings();
+    const debugEnabled = configRead('enableResponsePipelineDebug');
+
+    showModal(
+        {
+            title: t('settings.options.misc.options.responsePipelineTimings'),
+            subtitle: debugEnabled ? '' : t('settings.responsePipeline.debugDisabled')
+        },
+        overlayPanelItemListRenderer(timings.map((timing) => buttonItem(
+            {
+                title: timing.name,
+                subtitle: t('settings.responsePipeline.timing', {
+                    calls: timing.calls,
+                    average: timing.calls ? (timing.totalMs / timing.calls).toFixed(2) : '0.00',
+                    max: timing.maxMs.toFixed(2)
+                })
+            },
+            { icon: 'TIMER' },
+            []
+        ))),
+        'tt-response-pipeline-timings',
+        false
+    );
+}
+
+export function showSponsorBlockStats(update) {
+    const stats = getSkipStats();
+    const statItem = (title, entry, icon) => buttonItem(
+        {
+            title,
+            subtitle: t('settings.options.sponsorblock.statistics.entry', {
+                time: formatTimeSaved(entry.seconds),
+                count: entry.count
+            })
+        },
+        { icon },
+        []
+    );
+
+    const buttons = [
+        statItem(t('settings.options.sponsorblock.statistics.total'), stats, 'TIMER'),
+        ...stats.categories.map(entry => statItem(
+            t(`settings.options.sponsorblock.options.categoryNames.${entry.category}`),
+            entry,
+            'SKIP_NEXT'
+        )),
+        ...stats.channels.map(entry => statItem(
+            t('settings.options.sponsorblock.statistics.channel', { name: entry.name }),
+            entry,
+            'ACCOUNT_CIRCLE'
+        )),
+        buttonItem(
+            { title: t('settings.options.sponsorblock.statistics.clear') },
+            { icon: 'CLEAR_COOKIES' },
+            [
+                {
+                    customAction: {
+                        action: 'CLEAR_SPONSORBLOCK_STATS'
+                    }
+                }
+            ]
+        )
+    ];
+
+    showModal(
+        t('settings.options.sponsorblock.options.statistics'),
+        overlayPanelItemListRenderer(buttons),
+        'tt-sponsorblock-stats',
+        update
+    );
+}
+
+function blockedChannelOptions() {
+    const blockedChannels = getBlockedChannels();
+    if (!blockedChannels.length) {
+        return [buttonItem({ title: t('settings.options.blockedChannels.empty') }, { icon: 'HELP' }, [])];
+    }
+
+    return blockedChannels.map((channel, index) => buttonItem(
+        { title: channel.name, subtitle: t('settings.options.blockedChannels.unblock') },
+        { icon: 'EYE_OFF' },
+        [
+            {
+                customAction: {
+                    action: 'UNBLOCK_CHANNEL',
+                    parameters: { channel, selectedIndex: index }
+                }
+            }
+        ]
+    ));
+}
+
+export function showBlockedChannels(selectedIndex = 0) {
+    const options = blockedChannelOptions();
+
+    optionShow({
+        options,
+        selectedIndex: Math.min(selectedIndex, options.length - 1),
+        menuId: 'tt-blocked-channels',
+        menuHeader: {
+            title: t('settings.options.blockedChannels.title'),
+            subtitle: t('settings.options.blockedChannels.subtitle')
+        }
+    }, true);
+}
+
+function titleFilterOptions() {
+    const filters = getTitleFilters();
+    if (!filters.length) {
+        return [buttonItem({ title: t('settings.options.uiSettings.options.titleFilters.empty') }, { icon: 'HELP' }, [])];
+    }
+
+    return filters.map((filter, index) => buttonItem(
+        {
+            title: filter.pattern,
+            subtitle: t('settings.options.uiSettings.options.titleFilters.summary', {
+                pages: filter.pages.map(page => PAGE_NAMES[page] || page).join(', ') || '-',
+                count: getTitleFilterHiddenCount(filter.pattern)
+            })
+        },
+        { icon: 'SEARCH', secondaryIcon: 'CHEVRON_RIGHT' },
+        [
+            {
+                customAction: {
+                    action: 'SHOW_TITLE_FILTER',
+                    parameters: { index }
+                }
+            }
+        ]
+    ));
+}
+
+export function showTitleFilters(selectedIndex = 0) {
+    const options = titleFilterOptions();
+
+    optionShow({
+        options,
+        selectedIndex: Math.min(selectedIndex, options.length - 1),
+        menuId: 'tt-title-filters',
+        menuHeader: {
+            title: t('settings.options.uiSettings.options.titleFilters.title'),
+            subtitle: t('settings.options.uiSettings.options.titleFilters.subtitle')
+        }
+    }, true);
+}
+
+// Page checkboxes and a remove button for a single filter.
+export function showTitleFilter(index, selectedIndex = 0, update = false) {
+    const filter = getTitleFilters()[index];
+    if (!filter) {
+        showTitleFilters();
+        return;
+    }
+
+    const buttons = TITLE_FILTER_PAGES.map(page => buttonItem(
+        { title: PAGE_NAMES[page] },
+        { icon: 'CHEVRON_DOWN', secondaryIcon: filter.pages.includes(page) ? 'CHECK_BOX' : 'CHECK_BOX_OUTLINE_BLANK' },
+        [
+            {
+                customAction: {
+                    action: 'TOGGLE_TITLE_FILTER_PAGE',
+                    parameters: { index, page, selectedIndex: TITLE_FILTER_PAGES.indexOf(page) }
+                }
+            }
+        ]
+    ));
+
+    buttons.push(buttonItem(
+        { title: t('settings.options.uiSettings.options.titleFilters.remove') },
+        { icon: 'CLEAR_COOKIES' },
+        [
+            {
+                customAction: {
+                    action: 'REMOVE_TITLE_FILTER',
+                    parameters: { index }
+                }
+            }
+        ]
+    ));
+
+    showModal(
+        {
+            title: filter.pattern,
+            subtitle: t('settings.options.uiSettings.options.titleFilters.hiddenCount', { count: getTitleFilterHiddenCount(filter.pattern) })
+        },
+        overlayPanelItemListRenderer(buttons, selectedIndex),
+        'tt-title-filter',
+        update
+    );
+}
+
+const audioLanguageOrderHeader = () => ({
+    title: t('settings.options.audioTrack.order.title'),
+    subtitle: t('settings.options.audioTrack.order.subtitle')
+});
+
+function audioLanguageOrderOptions() {
+    const languages = configRead('preferredAudioLanguages');
+    if (!languages.length) {
+        return [buttonItem({ title: t('settings.options.audioTrack.order.empty') }, { icon: 'HELP' }, [])];
+    }
+
+    const names = getComprehensiveLanguageList();
+    return languages.map((code, index) => buttonItem(
+        { title: `${index + 1}. ${names[code] || code}` },
+        { icon: 'TRANSLATE' },
+        [
+            {
+                customAction: {
+                    action: 'SHOW_AUDIO_LANGUAGE_MENU',
+                    parameters: index
+                }
+            }
+        ]
+    ));
+}
+
+export function showAudioLanguageOrder(selectedIndex = 0) {
+    const options = audioLanguageOrderOptions();
+
+    optionShow({
+        options,
+        selectedIndex: Math.min(selectedIndex, options.length - 1),
+        menuId: 'tt-audio-track-order',
+        menuHeader: audioLanguageOrderHeader()
+    }, true);
+}
+
+export function showAudioLanguageMenu(index) {
+    const languages = configRead('preferredAudioLanguages');
+    if (!languages[index]) return showAudioLanguageOrder(index);
+
+    const moveAction = delta => [
+        {
+            customAction: {
+                action: 'MOVE_AUDIO_LANGUAGE',
+                parameters: { index, delta }
+            }
+        }
+    ];
+    const options = [];
+    if (index > 0) {
+        options.push(buttonItem({ title: t('settings.options.audioTrack.order.moveUp') }, null, moveAction(-1)));
+    }
+    if (index < languages.length - 1) {
+        options.push(buttonItem({ title: t('settings.options.audioTrack.order.moveDown') }, null, moveAction(1)));
+    }
+    options.push(buttonItem({ title: t('settings.options.audioTrack.order.back') }, { icon: 'MENU' }, [
+        {
+            customAction: {
+                action: 'SHOW_AUDIO_LANGUAGE_ORDER',
+                parameters: index
+            }
+        }
+    ]));
+
+    const name = getComprehensiveLanguageList()[languages[index]] || languages[index];
+    optionShow({
+        options,
+        selectedIndex: 0,
+        menuId: 'tt-audio-track-order',
+        menuHeader: {
+            title: name,
+            subtitle: t('settings.rank', { rank: index + 1 })
+        }
+    }, true);
+}
+
+function whitelistedChannelOptions() {
+    const whitelistedChannels = getWhitelistedChannels();
+    if (!whitelistedChannels.length) {
+        return [buttonItem({ title: t('settings.options.whitelistedChannels.empty') }, { icon: 'HELP' }, [])];
+    }
+
+    return whitelistedChannels.map((channel, index) => buttonItem(
+        { title: channel.name, subtitle: t('settings.options.whitelistedChannels.remove') },
+        { icon: 'STAR' },
+        [
+            {
+                customAction: {
+                    action: 'UNWHITELIST_CHANNEL',
+                    parameters: { channel, selectedIndex: index }
+                }
+            }
+        ]
+    ));
+}
+
+export function showWhitelistedChannels(selectedIndex = 0) {
+    const options = whitelistedChannelOptions();
+
+    optionShow({
+        options,
+        selectedIndex: Math.min(selectedIndex, options.length - 1),
+        menuId: 'tt-whitelisted-channels',
+        menuHeader: {
+            title: t('settings.options.whitelistedChannels.title'),
+            subtitle: t('settings.options.whitelistedChannels.subtitle')
+        }
+    }, true);
+}
@@ -8,6 +8,11 @@ import modernUI from './settings.js';
 import resolveCommand, { patchResolveCommand } from '../resolveCommand.js';
 import { pipToFullscreen } from '../features/pictureInPicture.js';
 import getCommandExecutor from './customCommandExecution.js';
+import { addCustomResponseFilterRule } from '../features/responseFilter.js';
+import { addTitleFilter } from '../features/titleFilter.js';
+import { addShelfRule } from '../features/shelfManager.js';
+import { markSegmentBoundary } from '../features/sponsorblockSubmit.js';
+import { normalizeServerUrl } from '../features/sponsorblockCore.js';
 import { t } from 'i18next';
 
 const DEBUG_KEY_EVENTS = false;
@@ -120,6 +125,11 @@ function execute_once_dom_loaded() {
 <h1>TizenTube Theme Configuration</h1>
 <label for="__barColor">Navigation Bar Color: <input type="text" id="__barColor"/></label>
 <label for="__routeColor">Main Content Color: <input type="text" id="__routeColor"/></label>
+<label for="__filterRule">Add Response Filter Rule: <input type="text" id="__filterRule"/></label>
+<label for="__titleFilter">Add Title Filter (keyword or regex): <input type="text" id="__titleFilter"/></label>
+<label for="__shelfRule">Add Shelf Rule: <input type="text" id="__shelfRule"/></label>
+<label for="__sponsorBlockServer">SponsorBlock Server: <input type="text" id="__sponsorBlockServer" placeholder="https://sponsor.ajay.app"/></label>
+<label for="__deArrowThumbnailServer">DeArrow Thumbnail Server: <input type="text" id="__deArrowThumbnailServer" placeholder="https://dearrow-thumb.ajay.app"/></label>
 <div><small>Sponsor segments skipping - https://sponsor.ajay.app</small></div>
 `;
     document.querySelector('body').appendChild(uiContainer);
@@ -135,6 +145,51 @@ function execute_once_dom_loaded() {
       configWrite('routeColor', evt.target.value);
       updateStyle();
     });
+
+    uiContainer.querySelector('#__filterRule').addEventListener('change', (evt) => {
+      if (!evt.target.value.trim()) return;
+      try {
+        addCustomResponseFilterRule(evt.target.value);
+        evt.target.value = '';
+        showToast('TizenTube', 'Response filter rule added.');
+      } catch (err) {
+        showToast('TizenTube', `Invalid rule: ${err.message}`);
+      }
+    });
+
+    uiContainer.querySelector('#__titleFilter').addEventListener('change', (evt) => {
+      if (!evt.target.value.trim()) return;
+      const added = addTitleFilter(evt.target.value);
+      evt.target.value = '';
+      showToast('TizenTube', added ? 'Title filter added.' : 'This title filter already exists.');
+    });
+
+    uiContainer.querySelector('#__shelfRule').addEventListener('change', (evt) => {
+      if (!evt.target.value.trim()) return;
+      try {
+        addShelfRule(evt.target.value);
+        evt.target.value = '';
+        showToast('TizenTube', 'Shelf rule added.');
+      } catch (err) {
+        showToast('TizenTube', `Invalid rule: ${err.message}`);
+      }
+    });
+
+    for (const [id, key] of [['#__sponsorBlockServer', 'sponsorBlockServer'], ['#__deArrowThumbnailServer', 'deArrowThumbnailServer']]) {
+      const input = uiContainer.querySelector(id);
+      input.value = configRead(key);
+      input.addEventListener('change', (evt) => {
+        // Empty goes back to the official server.
+        const server = evt.target.value.trim() ? normalizeServerUrl(evt.target.value) : '';
+        if (server === null) {
+          showToast('TizenTube', 'Invalid server address.');
+          return;
+        }
+        configWrite(key, server);
+        evt.target.value = server;
+        showToast('TizenTube', server ? `Using ${server}.` : 'Using the official server.');
+      });
+    }
   } catch (e) { }
 
   var eventHandler = (evt) => {
@@ -175,6 +230,14 @@ function execute_once_dom_loaded() {
       if (evt.type === 'keydown') {
         modernUI();
       }
+    } else if ((evt.keyCode == 405 || evt.keyCode == 170) && configRead('enableSponsorBlockSubmissions') && location.hash.startsWith('#/watch')) {
+      // Yellow marks the start and end of a SponsorBlock segment to submit.
+      evt.preventDefault();
+      evt.stopPropagation();
+      if (evt.type === 'keydown') {
+        markSegmentBoundary();
+      }
+      return false;
     } else if (evt.keyCode == 39) {
       // Right key, for PiP
       if (evt.type === 'keydown') {
@@ -12,14 +12,18 @@ import "core-js/proposals/object-getownpropertydescriptors";
 
 import './translations/index.js'
 import "./domrect-polyfill";
+import "./features/watchHistory.js";
 import "./features/adblock.js";
+import "./features/deArrow.js";
 import "./features/sponsorblock.js";
+import "./features/sponsorblockLabels.js";
 import "./ui/ui.js";
 import "./ui/speedUI.js";
 import "./ui/theme.js";
 import "./ui/settings.js";
 import "./ui/disableWhosWatching.js";
 import "./features/moreSubtitles.js";
+import "./features/audioTrack.js";
 import "./features/forceDisableCaptions.js";
 import "./features/updater.js";
 import "./features/pictureInPicture.js";
@@ -0,0 +1,8 @@
+// Copy of the list with one item moved by delta places, clamped to the ends.
+export function moveItem(list, index, delta) {
+    const target = Math.min(list.length - 1, Math.max(0, index + delta));
+    const result = list.slice();
+    const [item] = result.splice(index, 1);
+    result.splice(target, 0, item);
+    return result;
+}
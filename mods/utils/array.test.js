@@ -0,0 +1,12 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { moveItem } from './array.js';
+
+test('moveItem moves one item, stops at the ends and leaves the list alone', () => {
+    const list = ['a', 'b', 'c'];
+
+    assert.deepEqual(moveItem(list, 0, 1), ['b', 'a', 'c']);
+    assert.deepEqual(moveItem(list, 2, -1), ['a', 'c', 'b']);
+    assert.deepEqual(moveItem(list, 0, -1), ['a', 'b', 'c']);
+    assert.deepEqual(list, ['a', 'b', 'c']);
+});